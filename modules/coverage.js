@@ -13,8 +13,9 @@ export function computeCoverage(item) {
   const hasPlatform = Array.isArray(item.platforms) && item.platforms.length > 0;
   const hasGenres = Array.isArray(item.genres) && item.genres.length > 0;
 
-  const hasIMDb = item.imdb && typeof item.imdb.rating === "number";
-  const hasFA = item.fa && typeof item.fa.rating === "number";
+  // El build escribe notas planas (imdb: 7.4); aceptamos también { rating }
+  const hasIMDb = typeof item.imdb === "number" || (item.imdb && typeof item.imdb.rating === "number");
+  const hasFA = typeof item.fa === "number" || (item.fa && typeof item.fa.rating === "number");
 
   if (!hasReleaseES) missing.push("Fecha estreno ES");
   if (!hasPlatform) missing.push("Plataforma");
@@ -3,23 +3,36 @@ import { normalizeTitle, tokenSimilarity } from "./title_normalize.js";
 
 /**
  * @typedef {Object} FACandidate
- * @property {string} title           - Título en FA
- * @property {"movie"|"series"|string} type  - Tipo en FA
- * @property {number|null} year       - Año (si FA lo trae)
- * @property {string|null} url        - Link (opcional)
- * @property {number|null} rating     - Nota FA (opcional)
+ * @property {string} title                - Título en FA
+ * @property {string|null} [titleOriginal] - Título original (ficha técnica de FA)
+ * @property {"movie"|"series"|string|null} type - Tipo en FA
+ * @property {number|null} year            - Año (si FA lo trae)
+ * @property {string[]} [directors]        - Dirección
+ * @property {number|null} [runtime]       - Duración en minutos
+ * @property {string|null} url             - Link (opcional)
+ * @property {number|null} rating          - Nota FA (opcional)
  */
 
+/**
+ * @typedef {Object} FAMatchItem
+ * @property {"movie"|"series"} type
+ * @property {string} title                - Título ES
+ * @property {string|null} [titleOriginal]
+ * @property {string[]} [altTitles]        - Traducciones / transliteraciones (TMDb)
+ * @property {number|null} [year]
+ * @property {string[]} [directors]        - Dirección (pelis) o creadores (series)
+ * @property {number|null} [runtime]       - Duración (pelis) o duración de episodio (series)
+ */
+
+// Por debajo de esto el match se marca como dudoso (faMatch.low)
+export const FA_MIN_CONFIDENCE = 0.5;
+
 /**
  * Reglas duras: si no las cumple, se descarta.
  */
 function hardReject(item, cand) {
-  // 1) Tipo obligatorio
-  const itType = item.type; // "movie" o "series"
-  const faType = cand.type;
-
-  if (itType === "movie" && faType !== "movie") return true;
-  if (itType === "series" && faType !== "series") return true;
+  // 1) Tipo obligatorio (si FA lo deja claro)
+  if (cand.type && item.type !== cand.type) return true;
 
   // 2) Año (si lo tenemos en ambos)
   if (Number.isFinite(item.year) && Number.isFinite(cand.year)) {
@@ -29,52 +42,108 @@ function hardReject(item, cand) {
   return false;
 }
 
+const sameName = (a, b) => {
+  const na = normalizeTitle(a);
+  return !!na && na === normalizeTitle(b);
+};
+
 /**
- * Score final: prioriza título + año + exactitud.
+ * Señales de un candidato y su confianza (0..1).
+ * - título: la mejor similaridad entre todos los nombres del ítem y los de FA
+ * - título original idéntico: señal fuerte (evita "Dune" de 1984 vs 2021)
+ * - año, dirección y duración: suben o bajan la confianza
  */
 function scoreCandidate(item, cand) {
-  const tSim = tokenSimilarity(item.title, cand.title); // 0..1
+  const names = [item.title, item.titleOriginal, ...(item.altTitles || [])].filter(Boolean);
+  const faNames = [cand.title, cand.titleOriginal].filter(Boolean);
 
-  let score = 0;
-  score += tSim * 100;
+  const titleSim = Math.max(0, ...names.flatMap((n) => faNames.map((f) => tokenSimilarity(n, f))));
+  const exactTitle = names.some((n) => faNames.some((f) => sameName(n, f)));
+  const originalTitle = !!item.titleOriginal && !!cand.titleOriginal && sameName(item.titleOriginal, cand.titleOriginal);
 
-  // Bonus si el título normalizado es exactamente igual
-  if (normalizeTitle(item.title) === normalizeTitle(cand.title)) score += 25;
+  const signals = [];
+  let confidence = titleSim * 0.45;
+  if (exactTitle) confidence += 0.1;
+  if (titleSim > 0) signals.push("title");
+
+  if (originalTitle) {
+    confidence += 0.2;
+    signals.push("original_title");
+  }
 
-  // Bonus por año cercano
   if (Number.isFinite(item.year) && Number.isFinite(cand.year)) {
     const diff = Math.abs(item.year - cand.year);
-    score += diff === 0 ? 18 : diff === 1 ? 10 : 0;
+    confidence += diff === 0 ? 0.15 : 0.05;
+    signals.push("year");
   }
 
-  // Pequeño bonus si tiene rating y url (señal de ficha completa)
-  if (cand.rating != null) score += 3;
-  if (cand.url) score += 2;
+  // Dirección: coincide alguno -> señal fuerte. En series TMDb da creadores y FA directores
+  // de episodios, así que que no coincidan no penaliza.
+  const itDirs = item.directors || [];
+  const faDirs = cand.directors || [];
+  if (itDirs.length && faDirs.length) {
+    if (itDirs.some((d) => faDirs.some((f) => sameName(d, f)))) {
+      confidence += 0.25;
+      signals.push("director");
+    } else if (item.type === "movie") {
+      confidence -= 0.25;
+    }
+  }
+
+  // Duración: ±5 min coincide; más de 20 de diferencia penaliza
+  if (Number.isFinite(item.runtime) && item.runtime > 0 && Number.isFinite(cand.runtime) && cand.runtime > 0) {
+    const diff = Math.abs(item.runtime - cand.runtime);
+    if (diff <= 5) {
+      confidence += 0.1;
+      signals.push("runtime");
+    } else if (diff > 20) {
+      confidence -= 0.15;
+    }
+  }
 
-  return score;
+  return {
+    titleSim,
+    originalTitle,
+    confidence: Math.round(Math.max(0, Math.min(1, confidence)) * 100) / 100,
+    method: signals.join("+") || "none",
+  };
 }
 
 /**
- * @param {Object} item
+ * Mejor candidato con su confianza y el método (señales que han coincidido,
+ * p. ej. "title+original_title+year+director").
+ * @param {FAMatchItem} item
  * @param {FACandidate[]} candidates
  * @param {Object} [opts]
- * @param {number} [opts.minTitleSim] - umbral para aceptar (default 0.45)
- * @returns {FACandidate|null}
+ * @param {number} [opts.minTitleSim] - similaridad mínima de título (default 0.45), salvo título original idéntico
+ * @returns {{ candidate: FACandidate, confidence: number, method: string, low: boolean }|null}
  */
-export function pickBestFA(item, candidates = [], opts = {}) {
+export function matchFA(item, candidates = [], opts = {}) {
   const minTitleSim = opts.minTitleSim ?? 0.45;
 
-  const filtered = candidates.filter((c) => !hardReject(item, c));
-  if (!filtered.length) return null;
+  let best = null;
+  for (const cand of candidates) {
+    if (hardReject(item, cand)) continue;
 
-  const ranked = filtered
-    .map((c) => ({ c, s: scoreCandidate(item, c) }))
-    .sort((a, b) => b.s - a.s);
+    const s = scoreCandidate(item, cand);
+    if (s.titleSim < minTitleSim && !s.originalTitle) continue;
 
-  // Validación final: que la similaridad mínima sea decente
-  const best = ranked[0].c;
-  const sim = tokenSimilarity(item.title, best.title);
+    // Empate: mejor el que tiene nota (ficha completa)
+    const tie = best && s.confidence === best.confidence && cand.rating != null && best.candidate.rating == null;
+    if (!best || s.confidence > best.confidence || tie) {
+      best = { candidate: cand, confidence: s.confidence, method: s.method };
+    }
+  }
+
+  return best ? { ...best, low: best.confidence < FA_MIN_CONFIDENCE } : null;
+}
 
-  if (sim < minTitleSim) return null;
-  return best;
+/**
+ * @param {FAMatchItem} item
+ * @param {FACandidate[]} candidates
+ * @param {Object} [opts] - ver matchFA
+ * @returns {FACandidate|null}
+ */
+export function pickBestFA(item, candidates = [], opts = {}) {
+  return matchFA(item, candidates, opts)?.candidate ?? null;
 }
@@ -0,0 +1,108 @@
+// modules/history_diff.js
+// Diferencias entre dos snapshots del histórico (data/history/{date}.json):
+// entradas nuevas, las que salen del Top, subidas/bajadas de puesto y cambio de nota.
+// Lo usa el build (campo "diff" de cada snapshot) y history.html (modo comparar).
+import { normalizeTitle } from "./title_normalize.js";
+
+export const DIFF_LISTS = ["movies", "series"];
+
+/**
+ * Clave estable de un título ("movie-693134", "tv-1399"): TMDb id, que siempre existe
+ * (el IMDb id a veces falta). Sirve de nombre de fichero en data/titles/.
+ */
+export function titleKey(type, tmdbId) {
+  if (tmdbId == null) return null;
+  return `${type === "series" ? "tv" : "movie"}-${tmdbId}`;
+}
+
+/**
+ * Identidades de un ítem, de más a menos fiable: key (TMDb) > IMDb id (o URL) > FA (o, sin ninguna, tipo + título).
+ * Los snapshots antiguos no traen key, así que dos ítems son el mismo si comparten cualquiera.
+ * Las temporadas nuevas son entradas propias (":T4").
+ */
+export function itemIds(item) {
+  if (!item) return [];
+  const imdb = item.imdbId || String(item.imdbUrl || "").match(/tt\d+/)?.[0] || null;
+  const title = normalizeTitle(item.title || item.titleTmdbEs || "");
+  const ids = [item.key || titleKey(item.type, item.tmdbId), imdb, item.faUrl].filter(Boolean);
+  // El título solo cuenta si no hay nada mejor (dos pelis pueden llamarse igual)
+  if (!ids.length && title) ids.push(`${item.type || "item"}:${title}`);
+  const season = item.kind === "new_season" && item.season?.number ? `:T${item.season.number}` : "";
+  return [...new Set(ids)].map((id) => id + season);
+}
+
+// Identidad principal (la más fiable disponible)
+export function itemKey(item) {
+  return itemIds(item)[0] ?? null;
+}
+
+const rankOf = (item, i) => (Number.isFinite(item?.rank) ? item.rank : i + 1);
+const finalOf = (item) => (typeof item?.final === "number" ? item.final : null);
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/**
+ * Diff de una lista.
+ * - entries: los ítems de "curr" con status "new" | "up" | "down" | "same",
+ *   move (puestos ganados: +2 = sube dos) y scoreDelta (nota final, 0..10)
+ * - dropped: los de "prev" que ya no están
+ * @returns {{ entries: Object[], dropped: Object[] }}
+ */
+export function diffList(prev = [], curr = []) {
+  const prevEntries = (prev || []).map((x, i) => ({ key: itemKey(x), item: x, rank: rankOf(x, i) }));
+  const prevById = new Map();
+  for (const p of prevEntries) for (const id of itemIds(p.item)) if (!prevById.has(id)) prevById.set(id, p);
+
+  const seen = new Set();
+  const entries = (curr || []).map((x, i) => {
+    const key = itemKey(x);
+    const rank = rankOf(x, i);
+    const final = finalOf(x);
+    const before = itemIds(x).map((id) => prevById.get(id)).find((p) => p && !seen.has(p));
+    if (before) seen.add(before);
+
+    if (!before) return { key, title: x.title, rank, prevRank: null, move: null, final, prevFinal: null, scoreDelta: null, status: "new" };
+
+    const prevFinal = finalOf(before.item);
+    const move = before.rank - rank;
+    return {
+      key,
+      title: x.title,
+      rank,
+      prevRank: before.rank,
+      move,
+      final,
+      prevFinal,
+      scoreDelta: final != null && prevFinal != null ? round2(final - prevFinal) : null,
+      status: move > 0 ? "up" : move < 0 ? "down" : "same",
+    };
+  });
+
+  const dropped = prevEntries
+    .filter((p) => !seen.has(p))
+    .map(({ key, item, rank }) => ({ key, title: item.title, prevRank: rank, prevFinal: finalOf(item) }));
+
+  return { entries, dropped };
+}
+
+/**
+ * Diff entre dos snapshots (Top de películas y de series).
+ * @param {Object|null} prev - snapshot anterior (null = todo es nuevo)
+ * @param {Object} curr
+ * @returns {{ from: string|null, to: string|null, movies: Object, series: Object }}
+ */
+export function diffSnapshots(prev, curr) {
+  const out = { from: prev?.updatedAt ?? null, to: curr?.updatedAt ?? null };
+  for (const list of DIFF_LISTS) out[list] = diffList(prev?.[list] || [], curr?.[list] || []);
+  return out;
+}
+
+/**
+ * Texto corto para el badge de una entrada: "NUEVO", "↑2", "↓1" o "" (mismo puesto).
+ */
+export function moveLabel(entry) {
+  if (!entry) return "";
+  if (entry.status === "new") return "NUEVO";
+  if (entry.status === "up") return `↑${entry.move}`;
+  if (entry.status === "down") return `↓${-entry.move}`;
+  return "";
+}
@@ -0,0 +1,184 @@
+// modules/list_controls.js
+// Orden y búsqueda de las listas (series.html, peliculas.html). Se guardan en la URL
+// (?orden=imdb&q=dune) para poder compartir la vista, igual que los filtros.
+// El perfil de pesos del ranking es el mismo selector que el de index.html / history.html.
+import { stripDiacritics } from "./title_normalize.js";
+import { itemFinal, itemCoverage, itemReleaseDate } from "./rules.js";
+import { WEIGHT_PROFILES, DEFAULT_PROFILE, resolveProfile } from "./ranking.js";
+
+function esc(s) {
+  return String(s).replace(/[&<>"']/g, (c) => ({
+    "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;"
+  }[c]));
+}
+
+const num = (v) => (typeof v === "number" ? v : v && typeof v.rating === "number" ? v.rating : null);
+
+/**
+ * Criterios de orden (siempre de mayor a menor; la fecha, de más reciente a más antigua).
+ * Los ítems sin el dato van al final.
+ */
+export const SORT_OPTIONS = [
+  { key: "final", label: "Nota final", value: itemFinal },
+  { key: "imdb", label: "IMDb", value: (it) => num(it.imdb) },
+  { key: "fa", label: "FilmAffinity", value: (it) => num(it.fa) },
+  { key: "tmdb", label: "TMDb", value: (it) => num(it.tmdb) },
+  { key: "estreno", label: "Estreno ES", value: (it) => itemReleaseDate(it) },
+  { key: "cobertura", label: "Cobertura", value: itemCoverage },
+];
+
+export const DEFAULT_SORT = "final";
+
+const sortOption = (key) => SORT_OPTIONS.find((o) => o.key === key) || SORT_OPTIONS[0];
+
+/**
+ * Copia ordenada. Empates: nota final y luego título.
+ */
+export function sortItems(items, key = DEFAULT_SORT) {
+  const { value } = sortOption(key);
+  const cmp = (a, b) => {
+    if (a == null && b == null) return 0;
+    if (a == null) return 1;
+    if (b == null) return -1;
+    return typeof a === "string" ? b.localeCompare(a) : b - a;
+  };
+  return [...items].sort((x, y) =>
+    cmp(value(x), value(y)) ||
+    cmp(itemFinal(x), itemFinal(y)) ||
+    String(x.title ?? "").localeCompare(String(y.title ?? ""), "es")
+  );
+}
+
+// Minúsculas y sin tildes: "pelicula" encuentra "Película", "nino" encuentra "Niño"
+const fold = (s) => stripDiacritics(String(s ?? "").toLowerCase());
+
+/**
+ * ¿El ítem casa con la búsqueda? Todas las palabras tienen que salir en alguno de sus títulos
+ * (español, original, FA o TMDb).
+ */
+export function matchesSearch(item, query) {
+  const words = fold(query).split(/\s+/).filter(Boolean);
+  if (!words.length) return true;
+  const haystack = [item.title, item.titleTmdbEs, item.titleOriginal, item.faTitle, item.name]
+    .filter(Boolean)
+    .map(fold)
+    .join(" | ");
+  return words.every((w) => haystack.includes(w));
+}
+
+/**
+ * Estado { sort, query } desde la URL (?orden=…&q=…).
+ */
+export function listStateFromURL(search = globalThis.location?.search || "") {
+  const q = new URLSearchParams(search);
+  return { sort: sortOption(q.get("orden")).key, query: q.get("q") || "" };
+}
+
+function writeListStateToURL({ sort, query }) {
+  if (!globalThis.location || !globalThis.history?.replaceState) return;
+  const url = new URL(globalThis.location.href);
+  if (sort && sort !== DEFAULT_SORT) url.searchParams.set("orden", sort);
+  else url.searchParams.delete("orden");
+  if (query) url.searchParams.set("q", query);
+  else url.searchParams.delete("q");
+  globalThis.history.replaceState(null, "", url);
+}
+
+/**
+ * Buscador + selector de orden. El estado inicial sale de la URL y cada cambio se escribe en ella.
+ * @param {HTMLElement} mountEl
+ * @param {(state: { sort: string, query: string }) => void} onChange
+ */
+export function mountListControls(mountEl, onChange) {
+  const state = listStateFromURL();
+
+  mountEl.innerHTML = `
+    <div class="listctl">
+      <input class="listctl__search" type="search" placeholder="Buscar título (español u original)" value="${esc(state.query)}" aria-label="Buscar título">
+      <label class="listctl__sort">Ordenar por
+        <select>
+          ${SORT_OPTIONS.map(o => `<option value="${o.key}" ${o.key === state.sort ? "selected" : ""}>${esc(o.label)}</option>`).join("")}
+        </select>
+      </label>
+    </div>
+  `;
+
+  const input = mountEl.querySelector(".listctl__search");
+  const select = mountEl.querySelector(".listctl__sort select");
+
+  function changed() {
+    writeListStateToURL(state);
+    onChange({ ...state });
+  }
+
+  input.addEventListener("input", () => {
+    state.query = input.value.trim();
+    changed();
+  });
+
+  select.addEventListener("change", () => {
+    state.sort = sortOption(select.value).key;
+    changed();
+  });
+
+  onChange({ ...state });
+  return { getState: () => ({ ...state }) };
+}
+
+// Perfil de pesos: compartido con index.html y history.html (localStorage)
+export const PROFILE_KEY = "radar.profile";
+
+/**
+ * Perfil elegido en este navegador o, si no hay, el del build (data.profile).
+ */
+export function loadProfile(fallback = DEFAULT_PROFILE) {
+  try {
+    return resolveProfile(localStorage.getItem(PROFILE_KEY) || fallback);
+  } catch {
+    return resolveProfile(fallback);
+  }
+}
+
+export function saveProfile(profile) {
+  try {
+    localStorage.setItem(PROFILE_KEY, profile);
+  } catch {}
+}
+
+/**
+ * Selector "Perfil" (Equilibrado / Crítica / Público). La página re-rankea con rankItems.
+ * @param {HTMLElement} mountEl
+ * @param {(profile: string) => void} onChange
+ * @param {{ fallback?: string }} [opts] - perfil del build, si el usuario no ha elegido
+ */
+export function mountProfileSelect(mountEl, onChange, { fallback = DEFAULT_PROFILE } = {}) {
+  let profile = loadProfile(fallback);
+  mountEl.innerHTML = `
+    <div class="listctl">
+      <label class="listctl__sort">Perfil
+        <select>
+          ${Object.entries(WEIGHT_PROFILES).map(([k, p]) => `<option value="${k}" ${k === profile ? "selected" : ""}>${esc(p.label)}</option>`).join("")}
+        </select>
+      </label>
+    </div>
+  `;
+  mountEl.querySelector("select").addEventListener("change", (e) => {
+    profile = resolveProfile(e.target.value);
+    saveProfile(profile);
+    onChange(profile);
+  });
+  onChange(profile);
+  return { getProfile: () => profile };
+}
+
+/**
+ * CSS mínimo (se añade al de los filtros)
+ */
+export const LIST_CONTROLS_CSS = `
+.listctl{display:flex;flex-wrap:wrap;gap:10px;align-items:center;margin:12px 0}
+.listctl__search{flex:1 1 220px;background:transparent;color:inherit;border:1px solid rgba(255,255,255,.18);
+      border-radius:10px;padding:7px 10px;font-size:13px}
+.listctl__sort{font-size:12px;display:inline-flex;gap:6px;align-items:center}
+.listctl__sort select{background:transparent;color:inherit;border:1px solid rgba(255,255,255,.18);
+      border-radius:8px;padding:4px 6px;font-size:12px}
+`;
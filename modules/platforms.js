@@ -0,0 +1,97 @@
+// modules/platforms.js
+// Registro de plataformas: ids y nombres de providers de TMDb -> marca canónica (nombre para
+// la UI + logo local en assets/platforms/). "Netflix Standard with Ads", "Netflix Kids"…
+// son Netflix; "Filmin Amazon Channel" es Filmin.
+// Lo usan el build (providers/platforms de cada ítem) y el front (filtros, logos).
+
+/**
+ * @typedef {Object} Platform
+ * @property {string} id        - slug estable (nombre del logo: assets/platforms/{id}.svg)
+ * @property {string} name      - nombre para la UI
+ * @property {number[]} tmdbIds - provider_id de TMDb (todas sus variantes)
+ * @property {RegExp} match     - nombres de TMDb de la marca (si el id no está en la lista)
+ */
+
+/** @type {Platform[]} */
+export const PLATFORMS = [
+  { id: "netflix", name: "Netflix", tmdbIds: [8, 175, 1796], match: /^netflix\b/i },
+  { id: "prime-video", name: "Prime Video", tmdbIds: [9, 119, 2100], match: /^amazon prime video\b|^prime video\b/i },
+  { id: "amazon-video", name: "Amazon Video", tmdbIds: [10], match: /^amazon video\b/i },
+  { id: "disney-plus", name: "Disney+", tmdbIds: [337], match: /^disney\s*(\+|plus)/i },
+  { id: "max", name: "Max", tmdbIds: [118, 384, 1899], match: /^(hbo\s*)?max\b|^hbo\b/i },
+  { id: "apple-tv-plus", name: "Apple TV+", tmdbIds: [350], match: /^apple tv\s*(\+|plus)/i },
+  { id: "apple-tv", name: "Apple TV", tmdbIds: [2], match: /^apple (tv|itunes)\b|^itunes\b/i },
+  { id: "movistar-plus", name: "Movistar Plus+", tmdbIds: [149, 2241], match: /^movistar\b/i },
+  { id: "filmin", name: "Filmin", tmdbIds: [63], match: /^filmin\b/i },
+  { id: "skyshowtime", name: "SkyShowtime", tmdbIds: [1773], match: /^sky\s*showtime\b/i },
+  { id: "rakuten-tv", name: "Rakuten TV", tmdbIds: [35], match: /^rakuten\b/i },
+  { id: "google-play", name: "Google Play", tmdbIds: [3], match: /^google play\b/i },
+  { id: "atresplayer", name: "Atresplayer", tmdbIds: [62], match: /^atres\s*player\b/i },
+  { id: "rtve-play", name: "RTVE Play", tmdbIds: [541], match: /^rtve\b/i },
+  { id: "pluto-tv", name: "Pluto TV", tmdbIds: [300], match: /^pluto\s*tv\b/i },
+  { id: "crunchyroll", name: "Crunchyroll", tmdbIds: [283], match: /^crunchyroll\b/i },
+  { id: "mubi", name: "MUBI", tmdbIds: [11], match: /^mubi\b/i },
+  { id: "paramount-plus", name: "Paramount+", tmdbIds: [531], match: /^paramount\s*(\+|plus)/i },
+  { id: "flixole", name: "FlixOlé", tmdbIds: [393], match: /^flixol[eé]\b/i },
+  { id: "plex", name: "Plex", tmdbIds: [538], match: /^plex\b/i },
+];
+
+const BY_TMDB_ID = new Map(PLATFORMS.flatMap((p) => p.tmdbIds.map((id) => [id, p])));
+const BY_ID = new Map(PLATFORMS.map((p) => [p.id, p]));
+
+// Canales dentro de otra tienda ("Filmin Amazon Channel", "MGM Plus Roku Premium Channel"):
+// la marca es la del canal, no la de la tienda
+const CHANNEL_RE = /\s+(amazon|apple tv|roku premium)\s+channels?$/i;
+
+/**
+ * Marca canónica de un provider de TMDb ({ id, name } o { provider_id, provider_name }) o de
+ * un nombre suelto. null si no está en el registro.
+ * @returns {Platform|null}
+ */
+export function resolvePlatform(provider) {
+  if (provider == null) return null;
+  const tmdbId = typeof provider === "object" ? provider.provider_id ?? provider.id : null;
+  const name = String(typeof provider === "object" ? provider.provider_name ?? provider.name ?? "" : provider).trim();
+
+  if (tmdbId != null && BY_TMDB_ID.has(Number(tmdbId))) return BY_TMDB_ID.get(Number(tmdbId));
+  if (!name) return null;
+
+  const bare = name.replace(CHANNEL_RE, "");
+  return BY_ID.get(bare.toLowerCase()) || PLATFORMS.find((p) => p.name === bare || p.match.test(bare)) || null;
+}
+
+/**
+ * Nombre para la UI: el de la marca si está en el registro, si no el que venga (sin el sufijo de canal).
+ */
+export function canonicalPlatformName(provider) {
+  const p = resolvePlatform(provider);
+  if (p) return p.name;
+  const name = typeof provider === "object" ? provider?.provider_name ?? provider?.name : provider;
+  return String(name ?? "").replace(CHANNEL_RE, "").trim();
+}
+
+/**
+ * Ruta del logo local (relativa a la raíz del sitio) o null si la marca no tiene.
+ */
+export function platformLogo(provider) {
+  const p = resolvePlatform(provider);
+  return p ? `assets/platforms/${p.id}.svg` : null;
+}
+
+/**
+ * Providers ({ id, name, type }) con el nombre canónico y sin repetir marca + tipo
+ * ("Netflix" y "Netflix Standard with Ads", ambos incluidos -> un solo "Netflix").
+ * @returns {{ id: number|null, platform: string|null, name: string, type: string }[]}
+ */
+export function normalizeProviders(providers) {
+  const out = [];
+  const seen = new Set();
+  for (const p of providers || []) {
+    const brand = resolvePlatform(p);
+    const name = brand ? brand.name : canonicalPlatformName(p);
+    if (!name || seen.has(`${name}:${p.type}`)) continue;
+    seen.add(`${name}:${p.type}`);
+    out.push({ id: p.id ?? null, platform: brand?.id ?? null, name, type: p.type });
+  }
+  return out;
+}
@@ -1,18 +1,74 @@
 // modules/ranking.js
+// Motor de puntuación único: lo usan el build (scripts/build-latest.mjs) y todas las páginas.
 
 /**
- * Pesos fijos (cuando hay todas las fuentes).
+ * Perfiles de pesos (cuando hay todas las fuentes).
  * Si faltan fuentes, reescalamos automáticamente con lo disponible (sin penalizar por faltantes).
  */
-const WEIGHTS = {
-  imdb: 0.25,
-  fa: 0.25,
-  rtCrit: 0.125,
-  rtAudience: 0.125,
-  mcCrit: 0.125,
-  mcUser: 0.125,
+export const WEIGHT_PROFILES = {
+  equilibrado: {
+    label: "Equilibrado",
+    weights: { imdb: 0.25, fa: 0.25, rtCrit: 0.125, rtAud: 0.125, mcCrit: 0.125, mcUser: 0.125 },
+  },
+  critica: {
+    label: "Crítica",
+    weights: { imdb: 0.15, fa: 0.15, rtCrit: 0.3, rtAud: 0.05, mcCrit: 0.3, mcUser: 0.05 },
+  },
+  publico: {
+    label: "Público",
+    weights: { imdb: 0.3, fa: 0.3, rtCrit: 0.05, rtAud: 0.15, mcCrit: 0.05, mcUser: 0.15 },
+  },
 };
 
+export const DEFAULT_PROFILE = "equilibrado";
+
+export const SOURCE_LABELS = {
+  imdb: "IMDb",
+  fa: "FilmAffinity",
+  rtCrit: "RT crítica",
+  rtAud: "RT público",
+  mcCrit: "Metacritic crítica",
+  mcUser: "Metacritic usuarios",
+};
+
+/**
+ * Shrinkage bayesiano para fuentes con nº de votos:
+ *   ajustada = (votos * nota + m * prior) / (votos + m)
+ * - priors: media esperada por tipo (escala 0..100)
+ * - m: votos "equivalentes" del prior; con m votos la nota pesa lo mismo que el prior
+ * Así un 9.1 con 40 votos se queda cerca del prior y un 7.9 con 50k votos casi no se mueve.
+ * Sin nº de votos (OMDb "N/A", FA sin recuento, histórico antiguo) la nota se usa tal cual:
+ * la duda se ve en la confianza ("baja"), no en la nota, para no desordenar snapshots viejos.
+ */
+export const SHRINKAGE = {
+  priors: {
+    movie: { imdb: 64, fa: 58 },
+    series: { imdb: 72, fa: 63 },
+  },
+  m: { imdb: 2000, fa: 400, tmdb: 500 },
+};
+
+/**
+ * Umbrales de confianza (fiabilidad media votos / (votos + m) de las fuentes con votos).
+ */
+export const CONFIDENCE_LEVELS = [
+  { level: "alta", min: 0.7 },
+  { level: "media", min: 0.35 },
+  { level: "baja", min: 0 },
+];
+
+/**
+ * "Crítica", "critica", "PÚBLICO"… -> clave de WEIGHT_PROFILES (o el perfil por defecto).
+ */
+export function resolveProfile(name) {
+  const key = String(name ?? "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .trim();
+  return WEIGHT_PROFILES[key] ? key : DEFAULT_PROFILE;
+}
+
 function toNumber(x) {
   if (x === null || x === undefined) return null;
   const n = typeof x === "string" ? Number(x.replace(",", ".")) : Number(x);
@@ -45,12 +101,66 @@ function normMcUser(v) {
   return clamp(n, 0, 10) * 10;
 }
 
+const num = (x) => (typeof x === "number" ? x : null);
+
+// Nº de votos por fuente (null = desconocido: OMDb "N/A", histórico antiguo…)
+function readVotes(item) {
+  const votes = (...xs) => {
+    for (const x of xs) {
+      const n = typeof x === "string" ? Number(x.replace(/[.,\s]/g, "")) : toNumber(x);
+      if (n != null && n >= 0) return n;
+    }
+    return null;
+  };
+
+  return {
+    imdb: votes(item?.imdbVotes, item?.imdb_votes, item?.ratings?.imdb?.votes),
+    fa: votes(item?.faVotes, item?.fa_votes, item?.ratings?.fa?.votes),
+    tmdb: votes(item?.tmdbVotes, item?.tmdb_votes, item?.vote_count),
+  };
+}
+
+function shrink(value, votes, prior, m) {
+  if (value == null || votes == null || prior == null || !m) return value;
+  return (votes * value + m * prior) / (votes + m);
+}
+
+// Fuentes con votos que tienen nota (las que cuentan para la confianza)
+function ratedSources(item) {
+  const { imdbRaw, faRaw } = readRatings(item);
+  return {
+    imdb: normImdb(imdbRaw) != null,
+    fa: normFa(faRaw) != null,
+    tmdb: toNumber(item?.tmdb ?? item?.vote_average) != null,
+  };
+}
+
+/**
+ * Confianza del ítem según cuántos votos respaldan sus notas.
+ * Una fuente con nota pero sin nº de votos cuenta como 0 votos (tira hacia "baja").
+ * @returns {{ level: "alta"|"media"|"baja"|null, value: number|null, votes: Object }}
+ */
+export function computeConfidence(item) {
+  const votes = readVotes(item);
+  const rated = ratedSources(item);
+  const rel = Object.entries(votes)
+    .filter(([k, n]) => SHRINKAGE.m[k] && (n != null || rated[k]))
+    .map(([k, n]) => (n ?? 0) / ((n ?? 0) + SHRINKAGE.m[k]));
+
+  if (!rel.length) return { level: null, value: null, votes };
+
+  const value = rel.reduce((a, b) => a + b, 0) / rel.length;
+  const level = CONFIDENCE_LEVELS.find((c) => value >= c.min).level;
+  return { level, value: Math.round(value * 100) / 100, votes };
+}
+
 /**
  * Lee ratings desde múltiples posibles paths para ser tolerantes con tu JSON.
- * Ajusta/añade aquí si tus campos se llaman distinto.
+ * El build escribe claves planas (imdb, fa, rtCrit, rtAud, mcCrit, mcUser).
  */
 function readRatings(item) {
   const imdbRaw =
+    num(item?.imdb) ??
     item?.ratings?.imdb?.rating ??
     item?.imdb?.rating ??
     item?.imdb_rating ??
@@ -58,6 +168,7 @@ function readRatings(item) {
     null;
 
   const faRaw =
+    num(item?.fa) ??
     item?.ratings?.fa?.rating ??
     item?.fa?.rating ??
     item?.fa_rating ??
@@ -65,13 +176,15 @@ function readRatings(item) {
     null;
 
   const rtCritRaw =
+    num(item?.rtCrit) ??
     item?.ratings?.rt?.critics ??
     item?.rt?.critics ??
     item?.rt_critics ??
     item?.rtCritics ??
     null;
 
-  const rtAudienceRaw =
+  const rtAudRaw =
+    num(item?.rtAud) ??
     item?.ratings?.rt?.audience ??
     item?.rt?.audience ??
     item?.rt_audience ??
@@ -79,6 +192,7 @@ function readRatings(item) {
     null;
 
   const mcCritRaw =
+    num(item?.mcCrit) ??
     item?.ratings?.mc?.critics ??
     item?.mc?.critics ??
     item?.mc_critics ??
@@ -86,79 +200,107 @@ function readRatings(item) {
     null;
 
   const mcUserRaw =
+    num(item?.mcUser) ??
     item?.ratings?.mc?.users ??
     item?.mc?.users ??
     item?.mc_users ??
     item?.mcUsers ??
     null;
 
-  return { imdbRaw, faRaw, rtCritRaw, rtAudienceRaw, mcCritRaw, mcUserRaw };
+  return { imdbRaw, faRaw, rtCritRaw, rtAudRaw, mcCritRaw, mcUserRaw };
 }
 
 /**
  * Reglas:
  * - Requisito mínimo para publicar: IMDb o FA (al menos uno)
  * - RT/MC opcionales: si faltan, reescala pesos con lo disponible
- * - Score final 0..100
- * - coverage: % de fuentes presentes (de 6)
+ * - score 0..100 (1 decimal) y final 0..10 (lo que pintan las páginas)
+ * - coverage: % de fuentes presentes (de 6); present/total para el badge "Cobertura n/6"
+ * - IMDb/FA se ajustan por nº de votos (SHRINKAGE) antes de ponderar
+ * - breakdown: por fuente, nota original, votos, nota 0..100 (y ajustada), peso efectivo y aportación
+ * - confidence: alta/media/baja según votos (computeConfidence)
+ * @param {Object} item
+ * @param {Object} [opts]
+ * @param {string} [opts.profile] - clave o nombre de WEIGHT_PROFILES
  */
-export function computeScore(item) {
-  const { imdbRaw, faRaw, rtCritRaw, rtAudienceRaw, mcCritRaw, mcUserRaw } = readRatings(item);
+export function computeScore(item, opts = {}) {
+  const profile = resolveProfile(opts.profile);
+  const weights = WEIGHT_PROFILES[profile].weights;
+  const { imdbRaw, faRaw, rtCritRaw, rtAudRaw, mcCritRaw, mcUserRaw } = readRatings(item);
+  const confidence = computeConfidence(item);
+  const priors = SHRINKAGE.priors[item?.type === "series" ? "series" : "movie"];
 
-  const imdb = normImdb(imdbRaw);
-  const fa = normFa(faRaw);
-  const rtCrit = normPct(rtCritRaw);
-  const rtAudience = normPct(rtAudienceRaw);
-  const mcCrit = normPct(mcCritRaw);
-  const mcUser = normMcUser(mcUserRaw);
+  // [fuente, nota original, nota 0..100, nota ajustada por votos]
+  const parts = [
+    ["imdb", imdbRaw, normImdb(imdbRaw)],
+    ["fa", faRaw, normFa(faRaw)],
+    ["rtCrit", rtCritRaw, normPct(rtCritRaw)],
+    ["rtAud", rtAudRaw, normPct(rtAudRaw)],
+    ["mcCrit", mcCritRaw, normPct(mcCritRaw)],
+    ["mcUser", mcUserRaw, normMcUser(mcUserRaw)],
+  ].map(([k, raw, v]) => [k, raw, v, shrink(v, confidence.votes[k] ?? null, priors[k], SHRINKAGE.m[k])]);
+
+  const present = parts.filter(([, , v]) => v != null).length;
+  const total = parts.length;
+  const coverage = Math.round((present / total) * 100);
+  const missing = parts.filter(([, , v]) => v == null).map(([k]) => k);
 
   // Requisito mínimo: IMDb o FA
-  const hasCore = imdb != null || fa != null;
+  const hasCore = parts[0][2] != null || parts[1][2] != null;
   if (!hasCore) {
     return {
       publishable: false,
+      profile,
       score: null,
-      coverage: 0,
+      final: null,
+      coverage,
+      present,
+      total,
       weights_used: 0,
-      missing: ["imdb/fa"],
+      missing: ["imdb/fa", ...missing.filter((k) => k !== "imdb" && k !== "fa")],
+      breakdown: [],
+      confidence,
     };
   }
 
-  const parts = [
-    ["imdb", imdb],
-    ["fa", fa],
-    ["rtCrit", rtCrit],
-    ["rtAudience", rtAudience],
-    ["mcCrit", mcCrit],
-    ["mcUser", mcUser],
-  ];
-
   let weightedSum = 0;
   let wSum = 0;
-  const missing = [];
-
-  for (const [k, v] of parts) {
-    if (v == null) {
-      missing.push(k);
-      continue;
-    }
-    const w = WEIGHTS[k];
-    weightedSum += w * v;
-    wSum += w;
+  for (const [k, , v, adj] of parts) {
+    if (v == null) continue;
+    weightedSum += weights[k] * adj;
+    wSum += weights[k];
   }
 
   // Reescala para no penalizar por faltantes
   const score = wSum > 0 ? weightedSum / wSum : null;
 
-  const present = parts.filter(([, v]) => v != null).length;
-  const coverage = Math.round((present / parts.length) * 100);
+  const breakdown = parts
+    .filter(([, , v]) => v != null)
+    .map(([k, raw, v, adj]) => ({
+      source: k,
+      label: SOURCE_LABELS[k],
+      raw: toNumber(raw),
+      votes: confidence.votes[k] ?? null,
+      value: Math.round(v * 10) / 10,
+      adjusted: Math.round(adj * 10) / 10,
+      weight: Math.round((weights[k] / wSum) * 1000) / 1000,
+      contribution: Math.round(((weights[k] / wSum) * adj) * 10) / 10,
+    }));
+
+  const rounded = score == null ? null : Math.round(score * 10) / 10; // 1 decimal
 
   return {
     publishable: true,
-    score: score == null ? null : Math.round(score * 10) / 10, // 1 decimal
+    profile,
+    score: rounded,
+    final: rounded == null ? null : Math.round(rounded * 10) / 100,
     coverage,
+    present,
+    total,
     weights_used: Math.round(wSum * 1000) / 1000,
     missing,
+    breakdown,
+    confidence,
   };
 }
 
@@ -187,4 +329,51 @@ export function sortByRanking(a, b) {
   if (bVotes !== aVotes) return bVotes - aVotes;
 
   return 0;
-}
\ No newline at end of file
+}
+
+/**
+ * Re-puntúa una lista con un perfil y la ordena: solo publicables (y los fijados a mano,
+ * aunque no tengan IMDb ni FA: van al final), con rank 1..n.
+ * Es lo que hace el build y lo que repiten las páginas al cambiar de perfil.
+ */
+export function rankItems(items, opts = {}) {
+  return (Array.isArray(items) ? items : [])
+    .filter(Boolean)
+    .map((x) => {
+      const ranking = computeScore(x, opts);
+      return {
+        ...x,
+        ranking,
+        final: ranking.final,
+        coverage: `${ranking.present}/${ranking.total}`,
+        confidence: ranking.confidence.level,
+      };
+    })
+    .filter((x) => x.ranking.publishable || x.pinned)
+    .sort(sortByRanking)
+    .map((x, idx) => ({ ...x, rank: idx + 1 }));
+}
+
+/**
+ * Top N de una lista ya rankeada (rankItems): los fijados a mano (overrides "pin") entran
+ * siempre y desplazan a los últimos. Conserva el orden y el puesto de la lista.
+ */
+export function topItems(ranked, n = 5) {
+  const pinned = ranked.filter((x) => x.pinned).length;
+  const free = Math.max(0, n - pinned);
+  let taken = 0;
+  return ranked.filter((x) => x.pinned || taken++ < free);
+}
+
+/**
+ * Catálogo completo: publicables rankeados + el resto al final (rank y final null, sin IMDb ni FA).
+ * El build lo escribe en data/peliculas.json y peliculas.html lo repite con el perfil elegido.
+ */
+export function rankCatalogue(items, opts = {}) {
+  const list = (Array.isArray(items) ? items : []).filter(Boolean);
+  const rest = list
+    .map((x) => ({ ...x, ranking: computeScore(x, opts) }))
+    .filter((x) => !x.ranking.publishable && !x.pinned)
+    .map((x) => ({ ...x, final: null, rank: null }));
+  return [...rankItems(list, opts), ...rest];
+}
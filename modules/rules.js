@@ -1,4 +1,5 @@
 // modules/rules.js
+import { canonicalPlatformName } from "./platforms.js";
 
 function parseISODate(iso) {
   if (!iso) return null;
@@ -20,25 +21,69 @@ export function isInSpainReleaseWindow(item, days = 14, now = new Date()) {
   return diffDays >= 0 && diffDays <= days;
 }
 
+// Con varias chips de un grupo: "or" = basta una, "and" = tienen que estar todas
+function matchesGroup(selected, values, mode = "or") {
+  if (!selected.length) return true;
+  return mode === "and" ? selected.every((v) => values.includes(v)) : selected.some((v) => values.includes(v));
+}
+
+// Campos del ítem que usan los filtros (los snapshots antiguos no traen todos)
+export function itemFinal(item) {
+  return typeof item?.final === "number" ? item.final : null;
+}
+
+// Fuentes con nota: "4/6" (build) o ranking.present
+export function itemCoverage(item) {
+  if (typeof item?.ranking?.present === "number") return item.ranking.present;
+  const n = parseInt(String(item?.coverage ?? ""), 10);
+  return Number.isFinite(n) ? n : null;
+}
+
+export function itemReleaseDate(item) {
+  return item?.releaseDateES || item?.releaseES || null;
+}
+
+export const itemPlatforms = (item) => (item?.platforms ?? []).map((x) => canonicalPlatformName(x));
+
 /**
- * Filtro por plataformas y géneros (OR por defecto).
+ * Filtro de las páginas de listas.
+ * - Chips: plataformas y géneros (OR por defecto; AND por grupo con platformsMode/genresMode) y tipo.
+ * - Umbrales: nota final mínima, cobertura mínima (nº de fuentes), rango de estreno ES, solo en cines.
+ * Con un umbral puesto, los ítems sin ese dato no pasan.
  * @param {Object} item
  * @param {Object} state
  * @param {string[]} state.platformsSelected
  * @param {string[]} state.genresSelected
+ * @param {"or"|"and"} [state.platformsMode]
+ * @param {"or"|"and"} [state.genresMode]
+ * @param {string[]} [state.typesSelected]  - "movie" | "series"
+ * @param {number|null} [state.minFinal]    - 0..10
+ * @param {number|null} [state.minCoverage] - nº de fuentes
+ * @param {string|null} [state.dateFrom]    - YYYY-MM-DD (incluido)
+ * @param {string|null} [state.dateTo]      - YYYY-MM-DD (incluido)
+ * @param {boolean} [state.onlyCinemas]
  */
 export function passesUIFilters(item, state) {
   const pSel = state.platformsSelected ?? [];
   const gSel = state.genresSelected ?? [];
+  const tSel = state.typesSelected ?? [];
 
-  const itemPlatforms = (item.platforms ?? []).map((x) => String(x));
   const itemGenres = (item.genres ?? []).map((x) => String(x));
 
-  const platformOK =
-    !pSel.length || pSel.some((p) => itemPlatforms.includes(p));
+  if (!matchesGroup(pSel, itemPlatforms(item), state.platformsMode)) return false;
+  if (!matchesGroup(gSel, itemGenres, state.genresMode)) return false;
+  if (tSel.length && !tSel.includes(item.type)) return false;
+
+  const final = itemFinal(item);
+  if (state.minFinal != null && (final == null || final < state.minFinal)) return false;
+  const coverage = itemCoverage(item);
+  if (state.minCoverage != null && (coverage == null || coverage < state.minCoverage)) return false;
+
+  const date = itemReleaseDate(item);
+  if (state.dateFrom && !(date && date.slice(0, 10) >= state.dateFrom)) return false;
+  if (state.dateTo && !(date && date.slice(0, 10) <= state.dateTo)) return false;
 
-  const genreOK =
-    !gSel.length || gSel.some((g) => itemGenres.includes(g));
+  if (state.onlyCinemas && !item.inCinemasES) return false;
 
-  return platformOK && genreOK;
+  return true;
 }
@@ -0,0 +1,174 @@
+// modules/subscriptions.js
+// "Mis suscripciones": plataformas que tiene el usuario (localStorage) y el filtro
+// "lo que puedo ver sin pagar más" (incluido en una de ellas, o gratis).
+
+import { normalizeProviders, platformLogo } from "./platforms.js";
+
+export const SUBSCRIPTIONS_KEY = "radar.subscriptions";
+
+// Tipo de acceso de TMDb -> etiqueta corta para la UI
+export const PROVIDER_TYPE_LABELS = {
+  flatrate: "incluido",
+  free: "gratis",
+  ads: "gratis",
+  rent: "alquiler",
+  buy: "compra",
+};
+
+function esc(s) {
+  return String(s).replace(/[&<>"']/g, (c) => ({
+    "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;"
+  }[c]));
+}
+
+/**
+ * Providers del ítem ({ name, type }) con el nombre de marca (modules/platforms.js).
+ * Los snapshots antiguos solo traen `platforms`: se devuelven con type null (tipo de acceso desconocido).
+ */
+export function itemProviders(item) {
+  if (Array.isArray(item?.providers) && item.providers.length) return normalizeProviders(item.providers);
+  return normalizeProviders((item?.platforms ?? []).map((name) => ({ name, type: null })));
+}
+
+/**
+ * Una entrada por plataforma con sus tipos de acceso y la etiqueta para la UI:
+ * "Netflix (incluido)", "Apple TV (alquiler / compra)" (sin tipo, solo el nombre).
+ * @returns {{ name: string, types: string[], access: string, label: string, logo: string|null }[]}
+ */
+export function providerSummary(item) {
+  const byName = new Map();
+  for (const p of itemProviders(item)) {
+    if (!p?.name) continue;
+    if (!byName.has(p.name)) byName.set(p.name, []);
+    if (p.type) byName.get(p.name).push(p.type);
+  }
+  return [...byName].map(([name, types]) => {
+    const labels = Array.from(new Set(types.map((t) => PROVIDER_TYPE_LABELS[t]).filter(Boolean)));
+    const access = labels.join(" / ");
+    return { name, types, access, label: access ? `${name} (${access})` : name, logo: platformLogo(name) };
+  });
+}
+
+/**
+ * Plataformas que se pueden declarar como suscripción: las que aparecen como incluidas
+ * (o sin tipo, en datos antiguos).
+ */
+export function subscriptionOptions(items) {
+  const names = [];
+  for (const it of items) {
+    for (const p of itemProviders(it)) if (p.type === "flatrate" || p.type == null) names.push(p.name);
+  }
+  return Array.from(new Set(names.filter(Boolean))).sort((a, b) => a.localeCompare(b));
+}
+
+/**
+ * ¿Se puede ver sin pagar más? Gratis (free/ads) o incluida en una suscripción del usuario.
+ * Sin tipo (datos antiguos) se da por incluida si la plataforma es una de las suscripciones.
+ */
+export function watchableWithSubscriptions(item, subscriptions = []) {
+  const subs = new Set(subscriptions);
+  return itemProviders(item).some((p) =>
+    p.type === "free" || p.type === "ads" || ((p.type === "flatrate" || p.type == null) && subs.has(p.name))
+  );
+}
+
+export function loadSubscriptions() {
+  try {
+    const j = JSON.parse(localStorage.getItem(SUBSCRIPTIONS_KEY) || "null");
+    return {
+      subscriptions: Array.isArray(j?.subscriptions) ? j.subscriptions.filter((x) => typeof x === "string") : [],
+      onlyIncluded: !!j?.onlyIncluded,
+    };
+  } catch {
+    return { subscriptions: [], onlyIncluded: false };
+  }
+}
+
+export function saveSubscriptions(state) {
+  try {
+    localStorage.setItem(SUBSCRIPTIONS_KEY, JSON.stringify({
+      subscriptions: state.subscriptions ?? [],
+      onlyIncluded: !!state.onlyIncluded,
+    }));
+  } catch {}
+}
+
+/**
+ * Filtro de la lista según el estado de suscripciones (sin "solo sin pagar más", todo pasa).
+ * @param {Object} item
+ * @param {{ subscriptions: string[], onlyIncluded: boolean }} state
+ */
+export function passesSubscriptions(item, state) {
+  if (!state?.onlyIncluded) return true;
+  return watchableWithSubscriptions(item, state.subscriptions);
+}
+
+/**
+ * Panel "Mis suscripciones": chips por plataforma + interruptor "solo lo que puedo ver sin pagar más".
+ * El estado se guarda en localStorage (sirve para todas las páginas).
+ * @param {HTMLElement} mountEl
+ * @param {string[]} platforms - subscriptionOptions(items)
+ * @param {(state: { subscriptions: string[], onlyIncluded: boolean }) => void} onChange
+ */
+export function mountSubscriptions(mountEl, platforms, onChange) {
+  const state = loadSubscriptions();
+  // Las guardadas que no salen en esta lista se muestran igual (para poder quitarlas)
+  const options = Array.from(new Set([...platforms, ...state.subscriptions])).sort((a, b) => a.localeCompare(b));
+
+  mountEl.innerHTML = `
+    <div class="filters">
+      <div class="filters__row">
+        <div class="filters__label">Mis suscripciones</div>
+        <div class="filters__chips" data-group="subscription">
+          ${options.map(p => `<button class="chip" data-value="${esc(p)}" type="button">${platformLogo(p) ? `<img class="chip__logo" src="./${esc(platformLogo(p))}" alt="" width="16" height="16">` : ""}${esc(p)}</button>`).join("")}
+        </div>
+      </div>
+
+      <div class="filters__actions">
+        <label class="subs__only"><input type="checkbox" data-role="only-included"> Solo lo que puedo ver sin pagar más</label>
+      </div>
+    </div>
+  `;
+
+  const checkbox = mountEl.querySelector('[data-role="only-included"]');
+
+  function syncUI() {
+    mountEl.querySelectorAll(".chip").forEach((btn) => {
+      btn.classList.toggle("chip--on", state.subscriptions.includes(btn.getAttribute("data-value")));
+    });
+    checkbox.checked = state.onlyIncluded;
+  }
+
+  function changed() {
+    saveSubscriptions(state);
+    syncUI();
+    onChange({ ...state, subscriptions: [...state.subscriptions] });
+  }
+
+  mountEl.addEventListener("click", (e) => {
+    const t = e.target;
+    if (!t.classList?.contains("chip")) return;
+    const value = t.getAttribute("data-value");
+    const idx = state.subscriptions.indexOf(value);
+    if (idx >= 0) state.subscriptions.splice(idx, 1);
+    else state.subscriptions.push(value);
+    changed();
+  });
+
+  checkbox.addEventListener("change", () => {
+    state.onlyIncluded = checkbox.checked;
+    changed();
+  });
+
+  syncUI();
+  onChange({ ...state, subscriptions: [...state.subscriptions] });
+
+  return { getState: () => ({ ...state, subscriptions: [...state.subscriptions] }) };
+}
+
+/**
+ * CSS mínimo (se añade al de los filtros)
+ */
+export const SUBSCRIPTIONS_CSS = `
+.subs__only{display:inline-flex;align-items:center;gap:6px;font-size:12px;cursor:pointer}
+`;
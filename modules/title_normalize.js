@@ -1,27 +1,61 @@
 // modules/title_normalize.js
+// Normalización y similaridad de títulos en cualquier alfabeto (latino, cirílico, CJK, tailandés…).
+
+// Escrituras sin espacios entre palabras: se trocean en n-gramas de caracteres
+const NO_SPACE_SCRIPTS =
+  "\\p{Script=Han}\\p{Script=Hiragana}\\p{Script=Katakana}\\p{Script=Thai}\\p{Script=Lao}\\p{Script=Khmer}\\p{Script=Myanmar}ー";
+const NO_SPACE_CHAR_RE = new RegExp(`[${NO_SPACE_SCRIPTS}]`, "u");
+const SCRIPT_RUN_RE = new RegExp(`[${NO_SPACE_SCRIPTS}]+|[^${NO_SPACE_SCRIPTS}]+`, "gu");
+
+// Acentos = marcas combinantes básicas (U+0300–U+036F); el resto de marcas se conserva
 export function stripDiacritics(s = "") {
-  return s.normalize("NFD").replace(/[\u0300-\u036f]/g, "");
+  return String(s ?? "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .normalize("NFC");
 }
 
 export function normalizeTitle(s = "") {
-  const cleaned = stripDiacritics(String(s).toLowerCase())
+  // NFKC: formas de ancho completo ("：", "Ａ", "１") -> ASCII
+  const cleaned = stripDiacritics(String(s ?? "").normalize("NFKC").toLowerCase())
     .replace(/&/g, "and")
     .replace(/['’]/g, "")
-    .replace(/[^a-z0-9\s]/g, " ")
+    .replace(/[^\p{L}\p{N}\p{M}\s]/gu, " ")
     .replace(/\s+/g, " ")
     .trim();
 
   // Quita “ruido” típico que a veces se cuela en títulos
   return cleaned
-    .replace(/\b(miniserie|mini serie|serie animacion|serie de animacion|temporada|season)\b/g, "")
+    .replace(/(^|\s)(miniserie|mini serie|serie animacion|serie de animacion|temporada|season)(?=\s|$)/g, " ")
     .replace(/\s+/g, " ")
     .trim();
 }
 
+/**
+ * Tokens de un título: palabras en alfabetos con espacios y bigramas de caracteres
+ * en CJK/tailandés… ("镖人风起" -> ["镖人", "人风", "风起"]).
+ * @returns {string[]}
+ */
+export function titleTokens(s = "") {
+  const tokens = [];
+  for (const word of normalizeTitle(s).split(" ").filter(Boolean)) {
+    for (const run of word.match(SCRIPT_RUN_RE) || []) {
+      if (!NO_SPACE_CHAR_RE.test(run)) {
+        tokens.push(run);
+        continue;
+      }
+      const chars = [...run];
+      if (chars.length === 1) tokens.push(run);
+      for (let i = 0; i < chars.length - 1; i++) tokens.push(chars[i] + chars[i + 1]);
+    }
+  }
+  return tokens;
+}
+
 // Similaridad simple (0..1) por tokens, suficiente para re-ranquear candidatos
 export function tokenSimilarity(a, b) {
-  const A = new Set(normalizeTitle(a).split(" ").filter(Boolean));
-  const B = new Set(normalizeTitle(b).split(" ").filter(Boolean));
+  const A = new Set(titleTokens(a));
+  const B = new Set(titleTokens(b));
   if (!A.size || !B.size) return 0;
 
   let inter = 0;
@@ -30,3 +64,14 @@ export function tokenSimilarity(a, b) {
   const union = A.size + B.size - inter;
   return union ? inter / union : 0;
 }
+
+/**
+ * ¿Se puede leer en alfabeto latino? (al menos la mitad de las letras lo son)
+ * Sirve para elegir qué título enseñar cuando TMDb no tiene traducción al español.
+ */
+export function isLatinTitle(s = "") {
+  const letters = String(s ?? "").match(/\p{L}/gu) || [];
+  if (!letters.length) return false;
+  const latin = letters.filter((c) => /\p{Script=Latin}/u.test(c)).length;
+  return latin / letters.length >= 0.5;
+}
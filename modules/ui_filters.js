@@ -1,4 +1,6 @@
 // modules/ui_filters.js
+import { canonicalPlatformName, platformLogo } from "./platforms.js";
+import { passesUIFilters, itemFinal, itemReleaseDate } from "./rules.js";
 
 function uniqSorted(arr) {
   return Array.from(new Set(arr.filter(Boolean))).sort((a, b) => a.localeCompare(b));
@@ -10,94 +12,353 @@ function esc(s) {
   }[c]));
 }
 
+function logoHTML(platform) {
+  const src = platformLogo(platform);
+  return src ? `<img class="chip__logo" src="./${esc(src)}" alt="" width="16" height="16">` : "";
+}
+
+const TYPE_LABELS = { movie: "Películas", series: "Series" };
+
+// Umbrales de nota final que se ofrecen (0..10)
+const FINAL_STEPS = [5, 6, 6.5, 7, 7.5, 8, 8.5];
+
 export function buildFilterOptions(items) {
   const platforms = [];
   const genres = [];
+  const types = new Set();
+  const dates = [];
+  let coverageTotal = null;
+  let hasCinemas = false;
+  let hasFinal = false;
 
   for (const it of items) {
-    for (const p of (it.platforms ?? [])) platforms.push(p);
+    // Una chip por marca: "Netflix Standard with Ads" (snapshots antiguos) es Netflix
+    for (const p of (it.platforms ?? [])) platforms.push(canonicalPlatformName(p));
     for (const g of (it.genres ?? [])) genres.push(g);
+    if (it.type) types.add(it.type);
+
+    const date = itemReleaseDate(it);
+    if (date) dates.push(String(date).slice(0, 10));
+
+    const total = it.ranking?.total ?? parseInt(String(it.coverage ?? "").split("/")[1], 10);
+    if (Number.isFinite(total)) coverageTotal = Math.max(coverageTotal ?? 0, total);
+
+    if (it.inCinemasES) hasCinemas = true;
+    if (itemFinal(it) != null) hasFinal = true;
   }
 
+  dates.sort();
+
   return {
     platforms: uniqSorted(platforms),
     genres: uniqSorted(genres),
+    types: Object.keys(TYPE_LABELS).filter((t) => types.has(t)),
+    hasFinal,
+    coverageTotal,
+    dateMin: dates[0] ?? null,
+    dateMax: dates[dates.length - 1] ?? null,
+    hasCinemas,
   };
 }
 
+// Grupos de chips: clave del estado, modo AND/OR (si tiene) y parámetro de la URL.
+// pref: se guarda como preferencia del usuario (localStorage)
+const GROUPS = [
+  { group: "platform", label: "Plataformas", key: "platformsSelected", modeKey: "platformsMode", param: "plataforma", option: "platforms", pref: true },
+  { group: "genre", label: "Géneros", key: "genresSelected", modeKey: "genresMode", param: "genero", option: "genres", pref: true },
+  { group: "type", label: "Tipo", key: "typesSelected", modeKey: null, param: "tipo", option: "types", pref: false },
+];
+
+const isoDate = (v) => (/^\d{4}-\d{2}-\d{2}$/.test(v ?? "") ? v : null);
+const numberIn = (min, max) => (v) => {
+  const n = Number(v);
+  return v != null && v !== "" && Number.isFinite(n) && n >= min && n <= max ? n : null;
+};
+
+// Facetas de un solo valor: clave del estado y parámetro de la URL
+const FIELDS = [
+  { key: "minFinal", param: "nota_min", parse: numberIn(0, 10) },
+  { key: "minCoverage", param: "cobertura_min", parse: numberIn(1, 99) },
+  { key: "dateFrom", param: "desde", parse: isoDate },
+  { key: "dateTo", param: "hasta", parse: isoDate },
+  { key: "onlyCinemas", param: "cines", parse: (v) => v === "1" || v === true, format: (v) => (v ? "1" : null) },
+];
+
+// Preferencias del usuario (plataformas/géneros elegidos y modo de cada grupo)
+export const FILTERS_STORAGE_KEY = "radar.filters";
+
+export function emptyFilterState() {
+  return {
+    platformsSelected: [], genresSelected: [], typesSelected: [],
+    platformsMode: "or", genresMode: "or",
+    minFinal: null, minCoverage: null, dateFrom: null, dateTo: null, onlyCinemas: false,
+  };
+}
+
+const MODE_LABELS = { or: "cualquiera", and: "todas" };
+const asMode = (v) => (v === "and" ? "and" : "or");
+
+/**
+ * Estado de filtros desde la query string
+ * (?plataforma=Netflix&plataforma=Filmin&genero=Drama&plataforma_modo=and&nota_min=7&desde=2026-01-01&cines=1).
+ * null si la URL no trae ningún filtro.
+ */
+export function filterStateFromURL(search = globalThis.location?.search || "") {
+  const q = new URLSearchParams(search);
+  const params = [...GROUPS.flatMap(({ param }) => [param, `${param}_modo`]), ...FIELDS.map(({ param }) => param)];
+  if (!params.some((p) => q.has(p))) return null;
+
+  const state = emptyFilterState();
+  for (const { key, modeKey, param } of GROUPS) {
+    state[key] = q.getAll(param).filter(Boolean);
+    if (modeKey) state[modeKey] = asMode(q.get(`${param}_modo`));
+  }
+  for (const { key, param, parse } of FIELDS) {
+    if (q.has(param)) state[key] = parse(q.get(param));
+  }
+  return state;
+}
+
+/**
+ * Escribe el estado en la URL (replaceState, sin recargar), respetando el resto de parámetros.
+ */
+export function writeFilterStateToURL(state) {
+  if (!globalThis.location || !globalThis.history?.replaceState) return;
+  const url = new URL(globalThis.location.href);
+  for (const { key, modeKey, param } of GROUPS) {
+    url.searchParams.delete(param);
+    url.searchParams.delete(`${param}_modo`);
+    for (const v of state[key] ?? []) url.searchParams.append(param, v);
+    if (modeKey && state[modeKey] === "and") url.searchParams.set(`${param}_modo`, "and");
+  }
+  for (const { key, param, format = (v) => v } of FIELDS) {
+    const v = state[key] == null ? null : format(state[key]);
+    if (v == null) url.searchParams.delete(param);
+    else url.searchParams.set(param, String(v));
+  }
+  globalThis.history.replaceState(null, "", url);
+}
+
+export function loadFilterPrefs() {
+  try {
+    const j = JSON.parse(globalThis.localStorage?.getItem(FILTERS_STORAGE_KEY) || "null");
+    if (!j) return null;
+    const state = emptyFilterState();
+    for (const { key, modeKey } of GROUPS.filter((g) => g.pref)) {
+      state[key] = Array.isArray(j[key]) ? j[key].filter((x) => typeof x === "string") : [];
+      state[modeKey] = asMode(j[modeKey]);
+    }
+    return state;
+  } catch {
+    return null;
+  }
+}
+
+export function saveFilterPrefs(state) {
+  try {
+    const out = {};
+    for (const { key, modeKey } of GROUPS.filter((g) => g.pref)) {
+      out[key] = state[key] ?? [];
+      out[modeKey] = asMode(state[modeKey]);
+    }
+    globalThis.localStorage?.setItem(FILTERS_STORAGE_KEY, JSON.stringify(out));
+  } catch {}
+}
+
 /**
- * Renderiza chips y devuelve un pequeño controlador de estado.
+ * Cuántos ítems quedarían con cada chip (con el resto de filtros como están):
+ * en modo OR, los que tienen ese valor; en AND, los que además tienen los ya elegidos.
+ * @returns {{ total: number, platform: Object<string, number>, genre: Object<string, number>,
+ *   type: Object<string, number>, onlyCinemas: number }}
+ */
+export function facetCounts(items, state, options) {
+  const count = (s) => items.reduce((n, it) => n + (passesUIFilters(it, s) ? 1 : 0), 0);
+  const out = { total: count(state), onlyCinemas: count({ ...state, onlyCinemas: true }) };
+
+  for (const { group, key, modeKey, option } of GROUPS) {
+    out[group] = {};
+    const selected = state[key] ?? [];
+    for (const v of options[option] ?? []) {
+      const trial = modeKey && state[modeKey] === "and" ? Array.from(new Set([...selected, v])) : [v];
+      out[group][v] = count({ ...state, [key]: trial });
+    }
+  }
+  return out;
+}
+
+/**
+ * Renderiza chips y facetas y devuelve un pequeño controlador de estado.
+ * Estado inicial: el de la URL (enlace compartido) > initialState > preferencias guardadas.
+ * Cada cambio se refleja en la URL y se guarda como preferencia (localStorage).
+ * Los valores que no existen en esta lista se descartan (para no dejarla vacía sin chips visibles).
+ * Con `items`, cada chip enseña cuántos títulos dejaría y las que dejarían 0 se desactivan.
  * @param {HTMLElement} mountEl
- * @param {Object} options
- * @param {string[]} options.platforms
- * @param {string[]} options.genres
+ * @param {Object} options - buildFilterOptions(items)
  * @param {(state: any) => void} onChange
+ * @param {{ initialState?: Object, items?: Object[] }} [opts]
  */
-export function mountFilters(mountEl, options, onChange) {
-  const state = { platformsSelected: [], genresSelected: [] };
+export function mountFilters(mountEl, options, onChange, { initialState = null, items = null } = {}) {
+  const start = filterStateFromURL() || initialState || loadFilterPrefs() || emptyFilterState();
+  const state = emptyFilterState();
+  for (const { key, modeKey, option } of GROUPS) {
+    state[key] = (start[key] ?? []).filter((v) => (options[option] ?? []).includes(v));
+    if (modeKey) state[modeKey] = asMode(start[modeKey]);
+  }
+  for (const { key, parse } of FIELDS) state[key] = start[key] == null ? state[key] : parse(start[key]);
+
+  let facetItems = items;
+
+  // El tipo solo tiene sentido si la lista mezcla películas y series
+  const groups = GROUPS.filter((g) => g.group !== "type" || (options.types ?? []).length > 1);
+  const coverageSteps = options.coverageTotal ? Array.from({ length: options.coverageTotal }, (_, i) => i + 1) : [];
 
   mountEl.innerHTML = `
     <div class="filters">
+      ${groups.map(({ group, label, option, modeKey }) => `
       <div class="filters__row">
-        <div class="filters__label">Plataformas</div>
-        <div class="filters__chips" data-group="platform">
-          ${options.platforms.map(p => `<button class="chip" data-value="${esc(p)}" type="button">${esc(p)}</button>`).join("")}
+        <div class="filters__label">${label}
+          ${modeKey ? `<button class="filters__mode" data-mode-group="${group}" type="button" title="Con varias chips: cualquiera (O) o todas (Y)"></button>` : ""}
+        </div>
+        <div class="filters__chips" data-group="${group}">
+          ${(options[option] ?? []).map(v => `<button class="chip" data-value="${esc(v)}" type="button">${group === "platform" ? logoHTML(v) : ""}${esc(group === "type" ? TYPE_LABELS[v] : v)}<span class="chip__count"></span></button>`).join("")}
         </div>
       </div>
+      `).join("")}
 
       <div class="filters__row">
-        <div class="filters__label">Géneros</div>
-        <div class="filters__chips" data-group="genre">
-          ${options.genres.map(g => `<button class="chip" data-value="${esc(g)}" type="button">${esc(g)}</button>`).join("")}
+        <div class="filters__label">Más filtros</div>
+        <div class="filters__fields">
+          ${options.hasFinal ? `
+          <label>Nota final ≥
+            <select data-field="minFinal">
+              <option value="">—</option>
+              ${FINAL_STEPS.map(n => `<option value="${n}">${n.toFixed(1)}</option>`).join("")}
+            </select>
+          </label>` : ""}
+          ${coverageSteps.length ? `
+          <label>Cobertura ≥
+            <select data-field="minCoverage">
+              <option value="">—</option>
+              ${coverageSteps.map(n => `<option value="${n}">${n}/${options.coverageTotal}</option>`).join("")}
+            </select>
+          </label>` : ""}
+          ${options.dateMin ? `
+          <label>Estreno ES desde <input type="date" data-field="dateFrom" min="${esc(options.dateMin)}" max="${esc(options.dateMax)}"></label>
+          <label>hasta <input type="date" data-field="dateTo" min="${esc(options.dateMin)}" max="${esc(options.dateMax)}"></label>` : ""}
+          ${options.hasCinemas ? `
+          <label><input type="checkbox" data-field="onlyCinemas"> Solo en cines <span class="chip__count" data-count="onlyCinemas"></span></label>` : ""}
         </div>
       </div>
 
       <div class="filters__actions">
         <button class="btn-clear" type="button">Limpiar</button>
+        <span class="filters__total"></span>
       </div>
     </div>
   `;
 
+  const groupOf = (name) => GROUPS.find((g) => g.group === name);
+
   function toggle(group, value) {
-    const key = group === "platform" ? "platformsSelected" : "genresSelected";
-    const arr = state[key];
+    const arr = state[groupOf(group).key];
     const idx = arr.indexOf(value);
     if (idx >= 0) arr.splice(idx, 1);
     else arr.push(value);
   }
 
   function syncUI() {
+    const counts = facetItems ? facetCounts(facetItems, state, options) : null;
+
     mountEl.querySelectorAll(".chip").forEach((btn) => {
       const group = btn.closest("[data-group]")?.getAttribute("data-group");
       const value = btn.getAttribute("data-value");
-      const key = group === "platform" ? "platformsSelected" : "genresSelected";
-      btn.classList.toggle("chip--on", state[key].includes(value));
+      const on = state[groupOf(group).key].includes(value);
+      btn.classList.toggle("chip--on", on);
+
+      const n = counts?.[group]?.[value];
+      const countEl = btn.querySelector(".chip__count");
+      if (countEl) countEl.textContent = n == null ? "" : String(n);
+      // Una chip que dejaría la lista vacía no se puede marcar (sí desmarcar)
+      btn.disabled = n === 0 && !on;
     });
+    mountEl.querySelectorAll(".filters__mode").forEach((btn) => {
+      const mode = state[groupOf(btn.getAttribute("data-mode-group")).modeKey];
+      btn.textContent = MODE_LABELS[mode];
+      btn.classList.toggle("filters__mode--and", mode === "and");
+    });
+    mountEl.querySelectorAll("[data-field]").forEach((input) => {
+      const v = state[input.getAttribute("data-field")];
+      if (input.type === "checkbox") input.checked = !!v;
+      else input.value = v == null ? "" : String(v);
+    });
+
+    const cinemas = mountEl.querySelector('[data-count="onlyCinemas"]');
+    if (cinemas) cinemas.textContent = counts ? String(counts.onlyCinemas) : "";
+    const total = mountEl.querySelector(".filters__total");
+    if (total) total.textContent = counts ? `${counts.total} de ${facetItems.length} títulos` : "";
   }
 
+  const snapshot = () => ({
+    ...state,
+    platformsSelected: [...state.platformsSelected],
+    genresSelected: [...state.genresSelected],
+    typesSelected: [...state.typesSelected],
+  });
+
+  function changed() {
+    syncUI();
+    writeFilterStateToURL(state);
+    saveFilterPrefs(state);
+    onChange(snapshot());
+  }
+
+  // Montar otra vez en el mismo elemento (series.html al cambiar de modo) sustituye al anterior
+  mountEl.__filtersAbort?.abort();
+  mountEl.__filtersAbort = new AbortController();
+  const { signal } = mountEl.__filtersAbort;
+
   mountEl.addEventListener("click", (e) => {
-    const t = e.target;
+    const t = e.target.closest?.("button") || e.target;
 
     if (t.classList?.contains("chip")) {
       const group = t.closest("[data-group]")?.getAttribute("data-group");
       const value = t.getAttribute("data-value");
       toggle(group, value);
-      syncUI();
-      onChange({ ...state });
+      changed();
+    }
+
+    if (t.classList?.contains("filters__mode")) {
+      const { modeKey } = groupOf(t.getAttribute("data-mode-group"));
+      state[modeKey] = state[modeKey] === "and" ? "or" : "and";
+      changed();
     }
 
     if (t.classList?.contains("btn-clear")) {
-      state.platformsSelected = [];
-      state.genresSelected = [];
-      syncUI();
-      onChange({ ...state });
+      Object.assign(state, emptyFilterState());
+      changed();
     }
-  });
+  }, { signal });
+
+  mountEl.addEventListener("change", (e) => {
+    const key = e.target.getAttribute?.("data-field");
+    const field = FIELDS.find((f) => f.key === key);
+    if (!field) return;
+    state[key] = field.parse(e.target.type === "checkbox" ? e.target.checked : e.target.value);
+    changed();
+  }, { signal });
 
   syncUI();
-  onChange({ ...state });
+  writeFilterStateToURL(state);
+  onChange(snapshot());
 
-  return { getState: () => ({ ...state }) };
+  return {
+    getState: snapshot,
+    // Recalcula los contadores con otra lista (p. ej. tras filtrar por "mis suscripciones")
+    setItems(next) {
+      facetItems = next;
+      syncUI();
+    },
+  };
 }
 
 /**
@@ -111,7 +372,18 @@ export const FILTERS_CSS = `
 .chip{border:1px solid rgba(255,255,255,.18);background:transparent;color:inherit;
       padding:6px 10px;border-radius:999px;font-size:12px;cursor:pointer}
 .chip--on{border-color:rgba(255,255,255,.45);background:rgba(255,255,255,.08)}
-.filters__actions{display:flex;gap:10px}
+.chip:disabled{opacity:.35;cursor:default}
+.chip__logo{width:16px;height:16px;border-radius:4px;vertical-align:-3px;margin-right:6px;pointer-events:none}
+.chip__count{margin-left:6px;opacity:.6;font-size:11px}
+.chip__count:empty{display:none}
+.filters__fields{display:flex;flex-wrap:wrap;gap:12px;align-items:center;font-size:12px}
+.filters__fields select,.filters__fields input[type=date]{background:transparent;color:inherit;
+      border:1px solid rgba(255,255,255,.18);border-radius:8px;padding:4px 6px;font-size:12px}
+.filters__actions{display:flex;gap:10px;align-items:center}
+.filters__total{font-size:12px;opacity:.75}
+.filters__mode{margin-left:6px;border:1px solid rgba(255,255,255,.18);background:transparent;color:inherit;
+      padding:1px 8px;border-radius:999px;font-size:11px;cursor:pointer;opacity:.85}
+.filters__mode--and{border-color:rgba(255,255,255,.45);background:rgba(255,255,255,.08)}
 .btn-clear{border:1px solid rgba(255,255,255,.18);background:transparent;color:inherit;
           padding:6px 10px;border-radius:10px;font-size:12px;cursor:pointer}
 `;
@@ -0,0 +1,261 @@
+// modules/watch_import.js
+// Importar lo ya visto desde los CSV que exportan IMDb (valoraciones / watchlist), Letterboxd
+// (watched, ratings, diary) y FilmAffinity (exportadores de la lista de votaciones). Todo en el
+// navegador: el fichero no sale de aquí. IMDb casa por imdbId; el resto por título + año con
+// las mismas reglas que el build usa para FA (modules/fa_match.js).
+import { normalizeTitle } from "./title_normalize.js";
+import { matchFA, FA_MIN_CONFIDENCE } from "./fa_match.js";
+import { watchKey, splitWatchKey, watchEntry, updateWatchEntry, loadWatchlist } from "./watchlist.js";
+
+export const IMPORT_FORMATS = {
+  imdb: "IMDb",
+  letterboxd: "Letterboxd",
+  filmaffinity: "FilmAffinity",
+};
+
+/**
+ * @typedef {Object} ImportRow
+ * @property {number} line            - línea del CSV (1 = cabecera)
+ * @property {string} title
+ * @property {string|null} titleOriginal
+ * @property {number|null} year
+ * @property {"movie"|"series"|null} type - null: no se sabe (se prueba con los dos)
+ * @property {string|null} imdbId
+ * @property {number|null} rating     - 1..10
+ */
+
+// ---------------- CSV ----------------
+
+/**
+ * CSV (RFC 4180): comillas, comillas dobles escapadas y saltos de línea dentro de un campo.
+ * El separador se deduce de la cabecera ("," o ";", los exportadores de FA usan los dos).
+ * @returns {string[][]}
+ */
+export function parseCSV(text) {
+  const src = String(text ?? "").replace(/^\uFEFF/, "");
+  const nl = src.search(/\r?\n/);
+  const head = nl < 0 ? src : src.slice(0, nl);
+  const sep = (head.match(/;/g) || []).length > (head.match(/,/g) || []).length ? ";" : ",";
+
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < src.length; i++) {
+    const c = src[i];
+    if (quoted) {
+      if (c === '"' && src[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (c === '"') quoted = false;
+      else field += c;
+    } else if (c === '"') quoted = true;
+    else if (c === sep) {
+      row.push(field);
+      field = "";
+    } else if (c === "\n" || c === "\r") {
+      if (c === "\r" && src[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else field += c;
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((r) => r.some((f) => f.trim()));
+}
+
+// ---------------- formatos ----------------
+
+const headerKey = (h) => normalizeTitle(h).replace(/\s+/g, "");
+
+// Nombres de columna (normalizados) de cada dato, por formato
+const COLUMNS = {
+  title: ["title", "name", "titulo", "tituloespanol"],
+  titleOriginal: ["originaltitle", "titulooriginal"],
+  year: ["year", "ano", "anio"],
+  imdbId: ["const", "imdbid", "tconst"],
+  rating: ["yourrating", "rating10", "rating", "nota", "mivoto", "voto"],
+  titleType: ["titletype", "tipo", "type"],
+};
+
+/**
+ * ¿De dónde viene el CSV? Por la cabecera: IMDb trae "Const", Letterboxd "Letterboxd URI";
+ * el resto con título (y año) se trata como FilmAffinity.
+ * @returns {"imdb"|"letterboxd"|"filmaffinity"|null}
+ */
+export function detectFormat(header) {
+  const keys = header.map(headerKey);
+  if (keys.includes("const")) return "imdb";
+  if (keys.includes("letterboxduri")) return "letterboxd";
+  if (keys.some((k) => COLUMNS.title.includes(k))) return "filmaffinity";
+  return null;
+}
+
+// "Dune (Serie de TV)", "Chernobyl (Miniserie de TV)": así marca FA las series
+const FA_SERIES_RE = /\s*\((mini)?serie de tv\)\s*$/i;
+const IMDB_SERIES_TYPES = new Set(["tvseries", "tvminiseries"]);
+
+function toRating(raw, format) {
+  const n = parseFloat(String(raw ?? "").replace(",", "."));
+  if (!Number.isFinite(n) || n <= 0) return null;
+  // Letterboxd puntúa de 0,5 a 5 estrellas
+  const r = Math.round(format === "letterboxd" ? n * 2 : n);
+  return r >= 1 && r <= 10 ? r : null;
+}
+
+/**
+ * Filas de un export con los datos que hacen falta para casar.
+ * @param {string} text - contenido del CSV
+ * @returns {{ format: string, rows: ImportRow[] }}
+ */
+export function readExport(text) {
+  const [header = [], ...body] = parseCSV(text);
+  const format = detectFormat(header);
+  if (!format) throw new Error("No reconozco el CSV: tiene que ser un export de IMDb, Letterboxd o FilmAffinity");
+
+  const keys = header.map(headerKey);
+  const col = (name) => {
+    // El primero de la lista que exista (p. ej. "Your Rating" antes que "IMDb Rating")
+    for (const alias of COLUMNS[name]) {
+      const i = keys.indexOf(alias);
+      if (i >= 0) return i;
+    }
+    return -1;
+  };
+  const idx = Object.fromEntries(Object.keys(COLUMNS).map((k) => [k, col(k)]));
+  const get = (r, name) => (idx[name] >= 0 ? String(r[idx[name]] ?? "").trim() : "");
+
+  const rows = body.map((r, i) => {
+    let title = get(r, "title");
+    let type = format === "letterboxd" ? "movie" : null;
+
+    if (format === "imdb") {
+      const t = headerKey(get(r, "titleType"));
+      if (t) type = IMDB_SERIES_TYPES.has(t) ? "series" : t === "movie" || t === "tvmovie" ? "movie" : null;
+    }
+    if (format === "filmaffinity" && FA_SERIES_RE.test(title)) {
+      title = title.replace(FA_SERIES_RE, "");
+      type = "series";
+    }
+
+    const year = parseInt(get(r, "year"), 10);
+    return {
+      line: i + 2,
+      title,
+      titleOriginal: get(r, "titleOriginal") || null,
+      year: Number.isFinite(year) ? year : null,
+      type,
+      imdbId: get(r, "imdbId").match(/tt\d+/)?.[0] || null,
+      rating: toRating(get(r, "rating"), format),
+    };
+  });
+
+  return { format, rows };
+}
+
+// ---------------- casar con el radar ----------------
+
+const yearOf = (item) => {
+  const y = parseInt(String(item?.year ?? item?.seriesFirstAirDate ?? item?.releaseES ?? "").slice(0, 4), 10);
+  return Number.isFinite(y) ? y : null;
+};
+
+/**
+ * Títulos del radar contra los que casar (ítems publicados y data/titles/index.json),
+ * sin repetir key. Un candidato por cada nombre (español, TMDb, FA) para matchFA.
+ * Las temporadas nuevas cuentan como la serie: lo que trae el export es la serie vista,
+ * no la temporada que acaba de salir.
+ * @param {Object[]} items
+ */
+export function importCandidates(items) {
+  const byKey = new Map();
+  for (const it of items) {
+    const key = splitWatchKey(watchKey(it)).key;
+    if (key && !byKey.has(key)) byKey.set(key, { ...it, key, kind: null });
+  }
+
+  const byImdb = new Map();
+  const named = [];
+  for (const [key, it] of byKey) {
+    const imdb = it.imdbId || String(it.imdbUrl || "").match(/tt\d+/)?.[0] || null;
+    if (imdb && !byImdb.has(imdb)) byImdb.set(imdb, key);
+
+    const names = new Set([it.title, it.titleTmdbEs, it.faTitle].filter(Boolean));
+    for (const title of names) {
+      named.push({ key, item: it, imdbId: imdb, title, titleOriginal: it.titleOriginal || null, type: it.type || null, year: yearOf(it) });
+    }
+  }
+  return { byKey, byImdb, named };
+}
+
+/**
+ * Casa las filas con los títulos del radar.
+ * - IMDb: por imdbId (y, si el título del radar no tiene, por título + año como los demás)
+ * - Letterboxd / FA: título + año con matchFA; por debajo de FA_MIN_CONFIDENCE no se da por buena
+ * @returns {{ matched: { row: ImportRow, key: string, item: Object, method: string, confidence: number }[],
+ *             unmatched: { row: ImportRow, reason: string }[] }}
+ */
+export function matchRows(rows, candidates) {
+  const matched = [];
+  const unmatched = [];
+
+  for (const row of rows) {
+    if (row.imdbId && candidates.byImdb.has(row.imdbId)) {
+      const key = candidates.byImdb.get(row.imdbId);
+      matched.push({ row, key, item: candidates.byKey.get(key), method: "imdb_id", confidence: 1 });
+      continue;
+    }
+    if (!row.title) {
+      unmatched.push({ row, reason: "Sin título" });
+      continue;
+    }
+
+    // Con imdbId en la fila, un título del radar con otro imdbId no puede ser
+    const pool = row.imdbId ? candidates.named.filter((c) => !c.imdbId) : candidates.named;
+    const types = row.type ? [row.type] : ["movie", "series"];
+    let best = null;
+    for (const type of types) {
+      const m = matchFA({ type, title: row.title, titleOriginal: row.titleOriginal, year: row.year }, pool);
+      if (m && (!best || m.confidence > best.confidence)) best = m;
+    }
+
+    if (!best) unmatched.push({ row, reason: "No está en el radar" });
+    else if (best.low) {
+      unmatched.push({
+        row,
+        reason: `Coincidencia dudosa con “${best.candidate.title}” (confianza ${Math.round(best.confidence * 100)}% < ${Math.round(FA_MIN_CONFIDENCE * 100)}%)`,
+      });
+    } else {
+      matched.push({ row, key: best.candidate.key, item: best.candidate.item, method: best.method, confidence: best.confidence });
+    }
+  }
+
+  return { matched, unmatched };
+}
+
+/**
+ * Marca como vistos los títulos casados (con la nota del export si no tenían una propia).
+ * @returns {{ marked: number, alreadySeen: number }}
+ */
+export function applyImport(matched) {
+  const stats = { marked: 0, alreadySeen: 0 };
+  const done = new Set();
+  for (const { key, item, row } of matched) {
+    if (done.has(key)) continue;
+    done.add(key);
+
+    const prev = watchEntry(key, loadWatchlist());
+    if (prev?.seen && (prev.rating != null || row.rating == null)) {
+      stats.alreadySeen++;
+      continue;
+    }
+    updateWatchEntry({ ...item, key }, { seen: true, rating: prev?.rating ?? row.rating });
+    stats.marked++;
+  }
+  return stats;
+}
@@ -0,0 +1,336 @@
+// modules/watchlist.js
+// Lista personal en este navegador (localStorage): "quiero verla", "vista" y nota propia
+// por título, con la key estable del build ("movie-693134", "tv-1399"). Las páginas del
+// ranking pueden ocultar o atenuar lo ya visto; watchlist.html la junta con los datos publicados.
+import { titleKey } from "./history_diff.js";
+
+export const WATCHLIST_KEY = "radar.watchlist";
+export const SEEN_MODE_KEY = "radar.seenMode";
+
+// Formato del fichero de exportación (para moverla entre navegadores)
+const EXPORT_FORMAT = "radar-watchlist";
+const EXPORT_VERSION = 1;
+
+// Qué hacer en las listas con los títulos vistos
+export const SEEN_MODES = [
+  { key: "show", label: "Mostrar" },
+  { key: "dim", label: "Atenuar" },
+  { key: "hide", label: "Ocultar" },
+];
+
+export const RATING_MIN = 1;
+export const RATING_MAX = 10;
+
+/**
+ * @typedef {Object} WatchEntry
+ * @property {boolean} want          - "quiero verla"
+ * @property {boolean} seen          - "vista"
+ * @property {number|null} rating    - nota propia (1..10)
+ * @property {string} title
+ * @property {"movie"|"series"} type
+ * @property {number|null} year
+ * @property {string} updatedAt      - ISO; al importar gana la más reciente
+ */
+
+function esc(s) {
+  return String(s ?? "").replace(/[&<>"']/g, (c) => ({
+    "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;"
+  }[c]));
+}
+
+/**
+ * Key estable de un ítem: la del build o, en snapshots antiguos, TMDb / IMDb id
+ * (igual que data/titles/). Sin nada de eso no se puede guardar.
+ * Las temporadas nuevas van aparte ("tv-1399-t8", como los UID de calendar.mjs): haber visto
+ * la serie no oculta la temporada que acaba de salir.
+ */
+export function watchKey(item) {
+  if (!item) return null;
+  const imdb = item.imdbId || String(item.imdbUrl || "").match(/tt\d+/)?.[0] || null;
+  const key = item.key || titleKey(item.type, item.tmdbId) || (imdb ? `imdb-${imdb}` : null);
+  const season = item.kind === "new_season" ? item.season?.number : null;
+  return key && season ? `${key}-t${season}` : key;
+}
+
+/**
+ * Key del título (data/titles/, titulo.html) y temporada de una key de watchKey.
+ * @returns {{ key: string, season: number|null }}
+ */
+export function splitWatchKey(key) {
+  const m = String(key ?? "").match(/^(tv-\d+)-t(\d+)$/);
+  return m ? { key: m[1], season: Number(m[2]) } : { key: String(key ?? ""), season: null };
+}
+
+const yearOf = (item) => {
+  const y = parseInt(String(item?.year ?? item?.seriesFirstAirDate ?? item?.releaseES ?? "").slice(0, 4), 10);
+  return Number.isFinite(y) ? y : null;
+};
+
+const validRating = (r) => {
+  const n = Number(r);
+  return r != null && r !== "" && Number.isInteger(n) && n >= RATING_MIN && n <= RATING_MAX ? n : null;
+};
+
+// Entrada saneada (lo que venga de localStorage o de un fichero importado)
+function cleanEntry(e) {
+  if (!e || typeof e !== "object") return null;
+  const entry = {
+    want: !!e.want,
+    seen: !!e.seen,
+    rating: validRating(e.rating),
+    title: typeof e.title === "string" ? e.title : "",
+    type: e.type === "series" ? "series" : "movie",
+    year: Number.isInteger(e.year) ? e.year : null,
+    updatedAt: typeof e.updatedAt === "string" ? e.updatedAt : new Date(0).toISOString(),
+  };
+  return entry.want || entry.seen || entry.rating != null ? entry : null;
+}
+
+function cleanEntries(items) {
+  const out = {};
+  for (const [key, e] of Object.entries(items && typeof items === "object" ? items : {})) {
+    const entry = cleanEntry(e);
+    if (entry && /^[\w-]+$/.test(key)) out[key] = entry;
+  }
+  return out;
+}
+
+/**
+ * Toda la lista: { [key]: WatchEntry }.
+ */
+export function loadWatchlist() {
+  try {
+    const j = JSON.parse(localStorage.getItem(WATCHLIST_KEY) || "null");
+    return cleanEntries(j?.items);
+  } catch {
+    return {};
+  }
+}
+
+export function saveWatchlist(entries) {
+  try {
+    localStorage.setItem(WATCHLIST_KEY, JSON.stringify({ version: EXPORT_VERSION, items: entries }));
+  } catch {}
+}
+
+/**
+ * Entrada de un ítem (o de una key) o null si no está en la lista.
+ * @returns {WatchEntry|null}
+ */
+export function watchEntry(itemOrKey, entries = loadWatchlist()) {
+  const key = typeof itemOrKey === "string" ? itemOrKey : watchKey(itemOrKey);
+  return (key && entries[key]) || null;
+}
+
+export function isSeen(item, entries) {
+  return !!watchEntry(item, entries)?.seen;
+}
+
+/**
+ * Cambia la entrada de un ítem y la guarda. Si se queda sin nada (ni quiero verla, ni vista,
+ * ni nota) sale de la lista. Marcarla como vista la quita de "quiero verla".
+ * @param {Object} item
+ * @param {Partial<WatchEntry>} patch
+ * @returns {WatchEntry|null}
+ */
+export function updateWatchEntry(item, patch) {
+  const key = watchKey(item);
+  if (!key) return null;
+  const entries = loadWatchlist();
+  const prev = entries[key] || { want: false, seen: false, rating: null };
+
+  const next = cleanEntry({
+    ...prev,
+    ...patch,
+    want: patch.seen ? false : patch.want ?? prev.want,
+    title: item.title ?? item.name ?? prev.title,
+    type: item.type ?? prev.type ?? (key.startsWith("tv-") ? "series" : "movie"),
+    year: yearOf(item) ?? prev.year ?? null,
+    updatedAt: new Date().toISOString(),
+  });
+
+  if (next) entries[key] = next;
+  else delete entries[key];
+  saveWatchlist(entries);
+  return next;
+}
+
+export const toggleWant = (item) => updateWatchEntry(item, { want: !watchEntry(item)?.want });
+export const toggleSeen = (item) => updateWatchEntry(item, { seen: !watchEntry(item)?.seen });
+export const setRating = (item, rating) => updateWatchEntry(item, { rating: validRating(rating) });
+
+export function removeFromWatchlist(key) {
+  const entries = loadWatchlist();
+  delete entries[key];
+  saveWatchlist(entries);
+}
+
+// ---------------- exportar / importar ----------------
+
+/**
+ * JSON para descargar (y cargar en otro navegador con importWatchlist).
+ */
+export function exportWatchlist(entries = loadWatchlist()) {
+  return JSON.stringify({
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    items: entries,
+  }, null, 2);
+}
+
+/**
+ * Mezcla un fichero exportado con la lista de este navegador. Si un título está en los dos,
+ * gana la entrada más reciente (updatedAt); con replace, el fichero sustituye a la lista.
+ * @param {string} text
+ * @param {{ replace?: boolean }} [opts]
+ * @returns {{ added: number, updated: number, unchanged: number, total: number }}
+ */
+export function importWatchlist(text, { replace = false } = {}) {
+  let j;
+  try {
+    j = JSON.parse(text);
+  } catch {
+    throw new Error("El fichero no es JSON");
+  }
+  if (j?.format !== EXPORT_FORMAT || !j.items || typeof j.items !== "object") {
+    throw new Error("El fichero no es una lista exportada desde el radar");
+  }
+
+  const incoming = cleanEntries(j.items);
+  const entries = replace ? {} : loadWatchlist();
+  const stats = { added: 0, updated: 0, unchanged: 0, total: 0 };
+
+  for (const [key, e] of Object.entries(incoming)) {
+    const prev = entries[key];
+    if (!prev) stats.added++;
+    else if (e.updatedAt > prev.updatedAt) stats.updated++;
+    else {
+      stats.unchanged++;
+      continue;
+    }
+    entries[key] = e;
+  }
+
+  saveWatchlist(entries);
+  stats.total = Object.keys(entries).length;
+  return stats;
+}
+
+// ---------------- vistas en las listas ----------------
+
+export function loadSeenMode() {
+  try {
+    const mode = localStorage.getItem(SEEN_MODE_KEY);
+    return SEEN_MODES.some((m) => m.key === mode) ? mode : "show";
+  } catch {
+    return "show";
+  }
+}
+
+export function saveSeenMode(mode) {
+  try {
+    localStorage.setItem(SEEN_MODE_KEY, mode);
+  } catch {}
+}
+
+/**
+ * Filtro de la lista según el modo (solo "hide" quita las vistas; "dim" las deja, atenuadas).
+ */
+export function passesSeenMode(item, mode, entries) {
+  return mode !== "hide" || !isSeen(item, entries);
+}
+
+/**
+ * Selector "Vistas: mostrar / atenuar / ocultar" (se guarda en localStorage, vale para todas las páginas).
+ * @param {HTMLElement} mountEl
+ * @param {(mode: string) => void} onChange
+ */
+export function mountSeenMode(mountEl, onChange) {
+  let mode = loadSeenMode();
+  mountEl.innerHTML = `
+    <label class="watch__mode">Vistas
+      <select>
+        ${SEEN_MODES.map(m => `<option value="${m.key}" ${m.key === mode ? "selected" : ""}>${esc(m.label)}</option>`).join("")}
+      </select>
+    </label>
+  `;
+  mountEl.querySelector("select").addEventListener("change", (e) => {
+    mode = SEEN_MODES.some((m) => m.key === e.target.value) ? e.target.value : "show";
+    saveSeenMode(mode);
+    onChange(mode);
+  });
+  onChange(mode);
+  return { getMode: () => mode };
+}
+
+/**
+ * Botones "quiero verla" / "vista" + nota propia de un ítem. Sin key estable, nada.
+ * @param {Object} item
+ * @param {{ entries?: Object, seen?: boolean }} [opts] - seen: false para próximos estrenos (solo "quiero verla")
+ */
+export function watchButtonsHTML(item, { entries = loadWatchlist(), seen = true } = {}) {
+  const key = watchKey(item);
+  if (!key) return "";
+  const e = entries[key] || {};
+  const ratings = [`<option value="">Mi nota</option>`]
+    .concat(Array.from({ length: RATING_MAX - RATING_MIN + 1 }, (_, i) => RATING_MIN + i)
+      .map(n => `<option value="${n}" ${e.rating === n ? "selected" : ""}>${n}</option>`));
+
+  return `
+    <span class="watch" data-watch-key="${esc(key)}">
+      <button type="button" class="watch__btn ${e.want ? "watch__btn--on" : ""}" data-watch="want" aria-pressed="${!!e.want}" title="Guardar en mi lista">${e.want ? "★" : "☆"} Quiero verla</button>
+      ${seen ? `<button type="button" class="watch__btn ${e.seen ? "watch__btn--on" : ""}" data-watch="seen" aria-pressed="${!!e.seen}" title="Marcar como vista">${e.seen ? "✓ Vista" : "Vista"}</button>
+      <select class="watch__rating" data-watch="rating" aria-label="Mi nota">${ratings.join("")}</select>` : ""}
+    </span>
+  `;
+}
+
+/**
+ * Escucha los botones de watchButtonsHTML dentro de rootEl (delegado: vale aunque se repinte).
+ * @param {HTMLElement} rootEl
+ * @param {(key: string) => Object|null} lookup - ítem de una key (para guardar título, tipo y año)
+ * @param {(key: string, entry: WatchEntry|null) => void} onChange
+ */
+export function bindWatchButtons(rootEl, lookup, onChange) {
+  // Volver a enlazar el mismo elemento sustituye al anterior
+  rootEl.__watchAbort?.abort();
+  rootEl.__watchAbort = new AbortController();
+  const { signal } = rootEl.__watchAbort;
+
+  const target = (e) => {
+    const el = e.target.closest?.("[data-watch]");
+    const key = el?.closest("[data-watch-key]")?.getAttribute("data-watch-key");
+    const item = key ? lookup(key) || { key } : null;
+    return item ? { el, key, item } : null;
+  };
+
+  rootEl.addEventListener("click", (e) => {
+    const t = target(e);
+    if (!t || t.el.tagName === "SELECT") return;
+    e.preventDefault();
+    const entry = t.el.getAttribute("data-watch") === "want" ? toggleWant(t.item) : toggleSeen(t.item);
+    onChange(t.key, entry);
+  }, { signal });
+
+  rootEl.addEventListener("change", (e) => {
+    const t = target(e);
+    if (!t || t.el.getAttribute("data-watch") !== "rating") return;
+    onChange(t.key, setRating(t.item, t.el.value));
+  }, { signal });
+}
+
+/**
+ * CSS mínimo (se añade al de los filtros)
+ */
+export const WATCHLIST_CSS = `
+.watch{display:inline-flex;flex-wrap:wrap;gap:6px;align-items:center}
+.watch__btn{border:1px solid rgba(255,255,255,.18);background:transparent;color:inherit;
+      padding:3px 9px;border-radius:999px;font-size:11px;cursor:pointer}
+.watch__btn--on{border-color:rgba(251,191,36,.6);background:rgba(251,191,36,.12)}
+.watch__rating,.watch__mode select{background:transparent;color:inherit;border:1px solid rgba(255,255,255,.18);
+      border-radius:8px;padding:2px 4px;font-size:11px}
+.watch__mode{font-size:12px;display:inline-flex;gap:6px;align-items:center}
+.is-seen{opacity:.45}
+.is-seen:hover{opacity:.85}
+`;
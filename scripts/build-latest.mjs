@@ -1,97 +1,120 @@
 import fs from "node:fs/promises";
-import * as cheerio from "cheerio";
+import { httpGet, fetchErrors, startRecording, startReplay } from "./http.mjs";
+import { parseRTSearch, parseRTTitlePage } from "./sources/rottentomatoes.mjs";
+import { parseMCSearch, parseMCTitlePage } from "./sources/metacritic.mjs";
+import { parseFASearch, parseFATitlePage } from "./sources/filmaffinity.mjs";
+import { matchFA } from "../modules/fa_match.js";
+import { normalizeProviders } from "../modules/platforms.js";
+import { diffSnapshots, titleKey } from "../modules/history_diff.js";
+import { writeTitleTimelines } from "./titles.mjs";
+import { writeFeeds } from "./feeds.mjs";
+import { releaseEvents, writeCalendars } from "./calendar.mjs";
+import { createBuildReport } from "./report.mjs";
+import { computeScore, rankItems, rankCatalogue, topItems, resolveProfile } from "../modules/ranking.js";
+import { stripDiacritics, normalizeTitle, tokenSimilarity, isLatinTitle } from "../modules/title_normalize.js";
+import {
+  loadOverrides,
+  findOverride,
+  pinnedTmdbIds,
+  pinnedImdbIds,
+  applyPlatformOverrides,
+  applyProviderOverrides,
+  overriddenFields,
+} from "./overrides.mjs";
 
 const TMDB_KEY = process.env.TMDB_API_KEY;
 const OMDB_KEY = process.env.OMDB_API_KEY;
 
-if (!TMDB_KEY) throw new Error("Missing TMDB_API_KEY secret");
-if (!OMDB_KEY) throw new Error("Missing OMDB_API_KEY secret");
+// ---------------------- modo: live / --record[=dir] / --replay[=dir] [--now=YYYY-MM-DD] [--profile=…] ----------------------
+const argValue = (name) => {
+  const a = process.argv.slice(2).find((x) => x === `--${name}` || x.startsWith(`--${name}=`));
+  if (!a) return null;
+  return a.includes("=") ? a.slice(a.indexOf("=") + 1) : true;
+};
 
-// ---------------------- helpers ----------------------
-const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+const RECORD = argValue("record");
+const REPLAY = argValue("replay");
+const NOW_ARG = argValue("now");
+
+// Perfil de pesos del ranking (WEIGHT_PROFILES): --profile=critica o RANKING_PROFILE
+const PROFILE = resolveProfile(argValue("profile") || process.env.RANKING_PROFILE);
+
+if (RECORD && REPLAY) throw new Error("--record y --replay son excluyentes");
+
+// "Hoy" del build: congelado en replay (el de la grabación) para que el resultado sea determinista
+let NOW = typeof NOW_ARG === "string" ? new Date(`${NOW_ARG}T12:00:00Z`) : new Date();
+
+if (REPLAY) {
+  const { dir, meta } = await startReplay(typeof REPLAY === "string" ? REPLAY : null);
+  if (typeof NOW_ARG !== "string" && meta.now) NOW = new Date(meta.now);
+  console.log(`Replay desde ${dir} (now = ${NOW.toISOString().slice(0, 10)})`);
+} else {
+  if (!TMDB_KEY) throw new Error("Missing TMDB_API_KEY secret");
+  if (!OMDB_KEY) throw new Error("Missing OMDB_API_KEY secret");
+}
+
+// Correcciones manuales (data/overrides.json), por TMDb id o IMDb id
+const OVERRIDES = await loadOverrides();
 
+// Qué ha pasado con cada candidato (data/report.json, diagnostico.html)
+const REPORT = createBuildReport();
+
+if (RECORD) {
+  const dir = await startRecording(
+    typeof RECORD === "string" ? RECORD : `fixtures/replay/${NOW.toISOString().slice(0, 10)}`,
+    { now: NOW.toISOString() }
+  );
+  console.log(`Grabando respuestas en ${dir}`);
+}
+
+// ---------------------- helpers ----------------------
 const tmdb = async (p, params = {}) => {
   const url = new URL(`https://api.themoviedb.org/3/${p}`);
-  url.searchParams.set("api_key", TMDB_KEY);
+  if (TMDB_KEY) url.searchParams.set("api_key", TMDB_KEY);
   for (const [k, v] of Object.entries(params)) url.searchParams.set(k, v);
-  const r = await fetch(url);
+  const r = await httpGet(url, { source: "tmdb" });
   if (!r.ok) throw new Error(`TMDb error ${r.status} on ${p}`);
-  return r.json();
+  return r.data;
 };
 
+// OMDb por IMDb id: nota IMDb + Tomatometer y Metascore (mismo id, sin ambigüedad de título)
 const omdbByImdbId = async (imdbId) => {
   if (!imdbId) return null;
   const url = new URL("https://www.omdbapi.com/");
-  url.searchParams.set("apikey", OMDB_KEY);
+  if (OMDB_KEY) url.searchParams.set("apikey", OMDB_KEY);
   url.searchParams.set("i", imdbId);
-  const r = await fetch(url);
-  const j = await r.json();
+  const r = await httpGet(url, { source: "omdb" });
+  if (!r.ok) return null;
+  const j = r.data;
   if (j?.Response === "False") return null;
-  const rating = Number(j.imdbRating);
-  return Number.isFinite(rating) ? rating : null;
-};
 
-// Normalización para limpiar sufijos de FA (“SerieAnimación”, “Miniserie”…)
-function stripDiacritics(s) {
-  return String(s ?? "").normalize("NFD").replace(/[\u0300-\u036f]/g, "");
-}
-
-// ---- Similaridad simple + normalización para matching ----
-function normalizeTitle(s = "") {
-  return stripDiacritics(String(s).toLowerCase())
-    .replace(/&/g, "and")
-    .replace(/[’'"]/g, "")
-    .replace(/[^a-z0-9\s]/g, " ")
-    .replace(/\s+/g, " ")
-    .trim();
-}
-
-function tokenSimilarity(a, b) {
-  const A = new Set(normalizeTitle(a).split(" ").filter(Boolean));
-  const B = new Set(normalizeTitle(b).split(" ").filter(Boolean));
-  if (!A.size || !B.size) return 0;
-
-  let inter = 0;
-  for (const t of A) if (B.has(t)) inter++;
-  const union = A.size + B.size - inter;
-  return union ? inter / union : 0;
-}
-
-// Detecta si una página de FA parece "series" o "movie" (heurística)
-function detectFATypeFromPage($) {
-  const txt = stripDiacritics($.text()).toLowerCase();
-
-  // señales típicas de series
-  const looksSeries =
-    txt.includes("miniserie") ||
-    txt.includes("serie de tv") ||
-    txt.includes("serie") ||
-    txt.includes("tv series") ||
-    txt.includes("episodios") ||
-    txt.includes("temporada");
-
-  // señales típicas de película
-  const looksMovie =
-    txt.includes("pelicula") ||
-    txt.includes("largometraje") ||
-    txt.includes("cortometraje");
+  // "7.4", "93%", "79"… o "N/A"
+  const num = (v) => {
+    const digits = String(v ?? "").replace(/[^\d.]/g, "");
+    const n = Number(digits);
+    return digits && Number.isFinite(n) ? n : null;
+  };
+  const rt = (j.Ratings || []).find((x) => x?.Source === "Rotten Tomatoes")?.Value;
 
-  if (looksSeries && !looksMovie) return "series";
-  if (looksMovie && !looksSeries) return "movie";
-  return null; // no concluyente
-}
+  return {
+    imdb: num(j.imdbRating),
+    imdbVotes: num(String(j.imdbVotes ?? "").replace(/[.,]/g, "")),
+    rtCrit: num(rt),
+    mcCrit: num(j.Metascore),
+  };
+};
 
 /**
  * Limpieza de títulos:
- * - quita paréntesis, parte tras ":" y comillas
+ * - quita paréntesis, parte tras ":" (también "：" de ancho completo) y comillas
  * - elimina sufijos típicos de FA al FINAL: SerieAnimación, Serie, Miniserie, etc (con/ sin acentos, pegados o separados)
  */
 const cleanTitle = (t) => {
   if (!t) return null;
 
   let s = String(t)
-    .replace(/\s*\(.*?\)\s*/g, " ") // quita (…)
-    .replace(/\s*:\s*.*/g, "") // quita “: …”
+    .replace(/\s*[(（].*?[)）]\s*/g, " ") // quita (…) y （…）
+    .replace(/\s*[:：︰]\s*.*/g, "") // quita “: …” / “：…”
     .replace(/[’'"]/g, "")
     .replace(/\s+/g, " ")
     .trim();
@@ -156,13 +179,45 @@ function isInLastDays(isoDate, days, now = new Date()) {
   return diffDays >= 0 && diffDays <= days;
 }
 
+// Ventana (próximos N días, sin contar hoy)
+function isInNextDays(isoDate, days, now = new Date()) {
+  const d = parseISODate(isoDate);
+  if (!d) return false;
+  const diffDays = (d.getTime() - now.getTime()) / (1000 * 60 * 60 * 24);
+  return diffDays > 0 && diffDays <= days;
+}
+
+// ---------------- TMDb: providers ES con su tipo de acceso ----------------
+// Una entrada por plataforma y tipo ("Apple TV" puede ser rent y buy a la vez), de más a
+// menos accesible: incluido en suscripción > gratis > gratis con anuncios > alquiler > compra.
+// Nombres de marca del registro (modules/platforms.js): las variantes "with Ads", "Kids" o
+// los canales de Amazon/Apple cuentan como su plataforma.
+const PROVIDER_TYPES = ["flatrate", "free", "ads", "rent", "buy"];
+
+function esProviders(wp) {
+  const es = wp?.results?.ES;
+  const list = [];
+  for (const type of PROVIDER_TYPES) {
+    for (const p of es?.[type] || []) {
+      if (!p?.provider_id) continue;
+      list.push({ id: p.provider_id, name: p.provider_name || `Provider ${p.provider_id}`, type });
+    }
+  }
+  return normalizeProviders(list).slice(0, 16);
+}
+
+// Lista plana de nombres (filtros, "where", feeds…), como antes: sin repetir y máx. 8
+const providerNames = (providers) => [...new Set((providers || []).map((p) => p.name))].slice(0, 8);
+
 // ---------------- TMDb: título ES + estreno ES + providers ES + géneros ----------------
 async function getMovieESDetails(id) {
-  const d = await tmdb(`movie/${id}`, { language: "es-ES" });
+  const d = await tmdb(`movie/${id}`, { language: "es-ES", append_to_response: "credits" });
 
   // Estreno ES + flag "cines"
   let releaseES = d.release_date || null;
   let inCinemasES = false;
+  // Fechas ES por canal (calendarios): cines = theatrical/limited (2/3), plataformas = digital (4)
+  const releasesES = { theatrical: null, digital: null };
 
   try {
     const rd = await tmdb(`movie/${id}/release_dates`);
@@ -171,286 +226,645 @@ async function getMovieESDetails(id) {
     const date = rds?.[0]?.release_date;
     if (date) releaseES = date.slice(0, 10);
     if (rds.some((x) => x?.type === 3 || x?.type === 2)) inCinemasES = true; // theatrical/limited
+
+    const firstOf = (types) =>
+      rds
+        .filter((x) => types.includes(x?.type) && x.release_date)
+        .map((x) => x.release_date.slice(0, 10))
+        .sort()[0] || null;
+    releasesES.theatrical = firstOf([2, 3]);
+    releasesES.digital = firstOf([4]);
   } catch {}
 
   // Providers ES
-  let platforms = [];
+  let providers = [];
   try {
-    const wp = await tmdb(`movie/${id}/watch/providers`);
-    const es = wp.results?.ES;
-    const list = [
-      ...(es?.flatrate || []),
-      ...(es?.rent || []),
-      ...(es?.buy || []),
-      ...(es?.free || []),
-      ...(es?.ads || []),
-    ];
-    const uniq = new Map();
-    for (const p of list) {
-      if (!p?.provider_id) continue;
-      uniq.set(p.provider_id, p.provider_name || `Provider ${p.provider_id}`);
-    }
-    platforms = [...uniq.values()].slice(0, 8);
+    providers = esProviders(await tmdb(`movie/${id}/watch/providers`));
   } catch {}
 
   const genres = Array.isArray(d.genres) ? d.genres.map((g) => g.name).filter(Boolean) : [];
 
+  // Dirección y duración: señales para el matching con FA
+  const directors = (d.credits?.crew || []).filter((c) => c?.job === "Director" && c.name).map((c) => c.name);
+
   return {
     titleEs: d.title || null,
     titleOriginal: d.original_title || null,
     releaseES,
-    platforms,
+    releasesES,
+    providers,
+    platforms: providerNames(providers),
     inCinemasES,
     genres,
+    directors,
+    runtime: typeof d.runtime === "number" && d.runtime > 0 ? d.runtime : null,
   };
 }
 
-async function getSeriesESDetails(id) {
+// Memo por ejecución: una serie puede salir en varias listas (ahora / estreno / temporada nueva)
+const seriesDetailsCache = new Map();
+
+function getSeriesESDetails(id) {
+  if (!seriesDetailsCache.has(id)) {
+    seriesDetailsCache.set(
+      id,
+      fetchSeriesESDetails(id).catch((e) => {
+        seriesDetailsCache.delete(id);
+        throw e;
+      })
+    );
+  }
+  return seriesDetailsCache.get(id);
+}
+
+async function fetchSeriesESDetails(id) {
   const d = await tmdb(`tv/${id}`, { language: "es-ES" });
 
   const releaseES = d.first_air_date || null;
 
-  let platforms = [];
+  let providers = [];
   try {
-    const wp = await tmdb(`tv/${id}/watch/providers`);
-    const es = wp.results?.ES;
-    const list = [
-      ...(es?.flatrate || []),
-      ...(es?.rent || []),
-      ...(es?.buy || []),
-      ...(es?.free || []),
-      ...(es?.ads || []),
-    ];
-    const uniq = new Map();
-    for (const p of list) {
-      if (!p?.provider_id) continue;
-      uniq.set(p.provider_id, p.provider_name || `Provider ${p.provider_id}`);
-    }
-    platforms = [...uniq.values()].slice(0, 8);
+    providers = esProviders(await tmdb(`tv/${id}/watch/providers`));
   } catch {}
 
   const genres = Array.isArray(d.genres) ? d.genres.map((g) => g.name).filter(Boolean) : [];
 
+  // Temporadas (sin especiales): para detectar temporadas nuevas de series ya conocidas
+  const seasons = (Array.isArray(d.seasons) ? d.seasons : [])
+    .filter((x) => Number(x?.season_number) > 0)
+    .map((x) => ({
+      number: x.season_number,
+      name: x.name || null,
+      airDate: x.air_date || null,
+      episodes: typeof x.episode_count === "number" ? x.episode_count : null,
+    }));
+
   return {
     titleEs: d.name || null,
     titleOriginal: d.original_name || null,
     releaseES,
-    platforms,
+    providers,
+    platforms: providerNames(providers),
     genres,
+    seasons,
+    // Creadores y duración de episodio: señales para el matching con FA
+    directors: (d.created_by || []).map((c) => c?.name).filter(Boolean),
+    runtime: Number(d.episode_run_time?.[0]) || null,
   };
 }
 
+// ---------------- TMDb: títulos alternativos (alfabetos no latinos) ----------------
+// Si el título ES o el original no son latinos ("镖人：风起大漠"), las traducciones y
+// transliteraciones de TMDb sirven para buscar en FA/RT/MC y para tener algo legible que enseñar.
+const ALT_TITLE_COUNTRIES = ["ES", "MX", "AR", "US", "GB"];
+
+function altTitleRank(t) {
+  const i = ALT_TITLE_COUNTRIES.indexOf(t.iso_3166_1);
+  if (i !== -1 && i < 3) return i; // español primero
+  if (/roman|translit|pinyin/i.test(t.type || "")) return 3;
+  return i !== -1 ? 4 + i : 10;
+}
+
+async function getAltTitles(type, id, { titleEs, titleOriginal }) {
+  if (isLatinTitle(titleEs) && isLatinTitle(titleOriginal)) return [];
+
+  try {
+    const j = await tmdb(`${type === "series" ? "tv" : "movie"}/${id}/alternative_titles`);
+    const list = (j.titles || j.results || [])
+      .filter((t) => t?.title && isLatinTitle(t.title))
+      .sort((a, b) => altTitleRank(a) - altTitleRank(b))
+      .map((t) => t.title.trim());
+    return [...new Set(list)].slice(0, 4);
+  } catch {
+    return [];
+  }
+}
+
+// Título para enseñar: el de TMDb ES si es legible; si no, el mejor alternativo latino
+function readableTitle({ titleEs, titleOriginal, altTitles = [] }) {
+  if (titleEs && isLatinTitle(titleEs)) return titleEs;
+  if (altTitles.length) return altTitles[0];
+  if (titleOriginal && isLatinTitle(titleOriginal)) return titleOriginal;
+  return titleEs || titleOriginal || null;
+}
+
 // ---------------- FilmAffinity scraping (no oficial) ----------------
-const FA_HEADERS = {
+const SCRAPE_HEADERS = {
   "User-Agent":
     "Mozilla/5.0 (compatible; SeriesyPelisRadar/1.0; +https://cpardogo.github.io/Series-y-Pelis/)",
   "Accept-Language": "es-ES,es;q=0.9,en;q=0.8",
 };
 
 async function faFetch(url) {
-  const r = await fetch(url, { headers: FA_HEADERS });
-  if (!r.ok) return null;
-  return r.text();
+  const r = await httpGet(url, { source: "fa", as: "text", headers: SCRAPE_HEADERS });
+  return r.ok ? r.data : null;
 }
 
-function normalizeFAUrl(href) {
-  if (!href) return null;
-  if (href.startsWith("http")) return href;
-  if (href.startsWith("/")) return `https://www.filmaffinity.com${href}`;
-  return `https://www.filmaffinity.com/es/${href}`;
-}
+const faSearchCache = new Map();
+const faPageCache = new Map();
 
 async function faFindTitleUrls(query, limit = 8) {
-  const url = new URL("https://www.filmaffinity.com/es/search.php");
-  url.searchParams.set("stext", query);
-  url.searchParams.set("stype", "all");
+  if (!faSearchCache.has(query)) {
+    const url = new URL("https://www.filmaffinity.com/es/search.php");
+    url.searchParams.set("stext", query);
+    url.searchParams.set("stype", "all");
 
-  const html = await faFetch(url.toString());
-  if (!html) return [];
+    const html = await faFetch(url.toString());
+    faSearchCache.set(query, html ? parseFASearch(html) : []);
+  }
+  return faSearchCache.get(query).slice(0, limit);
+}
 
-  const $ = cheerio.load(html);
-  const links = [];
+// Ficha de FA -> candidato para modules/fa_match.js (títulos ya limpios)
+async function faGetCandidate(faUrl) {
+  if (!faPageCache.has(faUrl)) {
+    const html = await faFetch(faUrl);
+    const page = html ? parseFATitlePage(html) : null;
+    faPageCache.set(
+      faUrl,
+      page && {
+        title: cleanTitle(page.title),
+        titleOriginal: cleanTitle(page.titleOriginal),
+        type: page.type,
+        year: page.year,
+        directors: page.directors,
+        runtime: page.runtime,
+        url: faUrl,
+        rating: page.fa,
+        votes: page.faVotes,
+      }
+    );
+  }
+  return faPageCache.get(faUrl);
+}
 
-  $("a").each((_, a) => {
-    const href = $(a).attr("href");
-    if (href && href.includes("/es/film") && href.endsWith(".html")) links.push(href);
-  });
+const faResult = (cand, match) => ({
+  fa: typeof cand?.rating === "number" ? cand.rating : null,
+  faVotes: cand?.votes ?? null,
+  faUrl: cand?.url ?? null,
+  faTitle: cand?.title || null,
+  faType: cand?.type || null,
+  faMatch: match,
+});
 
-  const uniq = [...new Set(links)].map(normalizeFAUrl).filter(Boolean);
-  return uniq.slice(0, limit);
+/**
+ * Nota de FA con el matcher único (modules/fa_match.js): título ES/original/alternativos,
+ * año, dirección y duración. faMatch = { confidence (0..1), method, low } o null si no hay ficha.
+ */
+async function getFARating({
+  titleEs,
+  titleOriginal,
+  altTitles = [],
+  year,
+  desiredType,
+  directors = [],
+  runtime = null,
+  forceUrl = null,
+}) {
+  // Override manual: ficha de FA fijada, sin búsqueda
+  if (forceUrl) {
+    const cand = await faGetCandidate(forceUrl);
+    return { ...faResult(cand, { confidence: 1, method: "manual", low: false }), faUrl: forceUrl };
+  }
+
+  const es = cleanTitle(titleEs);
+  const orig = cleanTitle(titleOriginal);
+  const alts = altTitles.map(cleanTitle).filter(Boolean);
+
+  const item = {
+    type: desiredType,
+    title: es || orig,
+    titleOriginal: orig,
+    altTitles: alts,
+    year: Number(year) || null,
+    directors,
+    runtime,
+  };
+
+  // Búsquedas: ES, original y alternativos (traducciones/transliteraciones), con y sin año
+  const names = [...new Set([es, orig, ...alts].filter(Boolean))];
+  const queries = names.flatMap((n) => [year ? `${n} ${year}` : null, n]).filter(Boolean);
+
+  // Se sigue buscando mientras el mejor match sea dudoso
+  let best = null;
+  for (const q of queries) {
+    const cands = [];
+    for (const faUrl of await faFindTitleUrls(q, 8)) {
+      const cand = await faGetCandidate(faUrl);
+      if (cand) cands.push(cand);
+    }
+
+    const m = matchFA(item, cands);
+    if (m && (!best || m.confidence > best.confidence)) best = m;
+    if (best && !best.low) break;
+  }
+
+  if (!best) return faResult(null, null);
+  return faResult(best.candidate, { confidence: best.confidence, method: best.method, low: best.low });
 }
 
-async function faGetRatingFromTitlePage(faUrl) {
-  const html = await faFetch(faUrl);
-  if (!html) return { fa: null, faTitle: null, faType: null, faYear: null };
+// ---------------- Rotten Tomatoes + Metacritic (scraping, no oficial) ----------------
+// Críticos: OMDb ya los trae por IMDb id (match exacto). Público/usuarios solo están en la web,
+// así que se buscan por título + año igual que en FA.
+async function scrapeFetch(url, source) {
+  const r = await httpGet(url, { source, as: "text", headers: SCRAPE_HEADERS });
+  return r.ok ? r.data : null;
+}
 
-  const $ = cheerio.load(html);
+// Candidatos de búsqueda { title, year } -> el mejor por similaridad de título + año
+function pickByTitleYear(cands, titles, year) {
+  const names = titles.filter(Boolean);
+  // Sin fecha en TMDb no hay año: Number(null) sería 0 y la regla dura descartaría todo
+  const yItem = year != null && year !== "" ? Number(year) : NaN;
+  const minSim = 0.45;
 
-  const faTitle =
-    cleanTitle($("h1").first().text()) ||
-    cleanTitle($("title").first().text().replace(/\s*\|\s*FilmAffinity.*/i, "")) ||
-    null;
+  let best = null;
+  let bestScore = -Infinity;
 
-  // Año: intentamos sacar (YYYY) del <title>
-  const titleTxt = $("title").first().text() || "";
-  const mYear = stripDiacritics(titleTxt).match(/\b(19|20)\d{2}\b/);
-  const faYear = mYear ? Number(mYear[0]) : null;
+  for (const cand of cands) {
+    const sim = Math.max(0, ...names.map((t) => tokenSimilarity(t, cand.title)));
+    if (sim < minSim) continue;
 
-  // Tipo (movie/series) por heurística
-  const faType = detectFATypeFromPage($);
+    let score = sim * 100;
+    if (names.some((t) => normalizeTitle(t) && normalizeTitle(t) === normalizeTitle(cand.title))) score += 25;
 
-  let rating = null;
-  const meta = $('meta[itemprop="ratingValue"]').attr("content");
-  if (meta) {
-    const v = Number(String(meta).replace(",", "."));
-    if (Number.isFinite(v)) rating = v;
-  }
+    // Regla dura: si ambos tienen año y difieren en más de 1, descartamos
+    if (Number.isFinite(yItem) && Number.isFinite(cand.year)) {
+      const diff = Math.abs(yItem - cand.year);
+      if (diff > 1) continue;
+      score += diff === 0 ? 18 : 10;
+    }
 
-  if (rating == null) {
-    const txt = $('[class*="rating"]').first().text();
-    const m = txt && txt.match(/(\d{1,2}[.,]\d)/);
-    if (m) {
-      const v = Number(m[1].replace(",", "."));
-      if (Number.isFinite(v)) rating = v;
+    if (score > bestScore) {
+      bestScore = score;
+      best = cand;
     }
   }
 
-  return { fa: rating, faTitle, faType, faYear };
+  return best;
 }
 
-const faCache = new Map();
-
-async function getFARating({ titleEs, titleOriginal, year, desiredType }) {
-  const es = cleanTitle(titleEs);
-  const orig = cleanTitle(titleOriginal);
+const rtCache = new Map();
 
-  const queries = [
-    year && es ? `${es} ${year}` : null,
-    es,
-    year && orig ? `${orig} ${year}` : null,
-    orig,
-  ].filter(Boolean);
-
-  const minSim = 0.45;
+async function getRTRatings({ titleEs, titleOriginal, altTitles = [], year, desiredType }) {
+  const titles = [cleanTitle(titleOriginal), cleanTitle(titleEs), ...altTitles.map(cleanTitle)];
+  const queries = [...new Set(titles.filter(Boolean))];
+  const empty = { rtCrit: null, rtAud: null, rtUrl: null };
 
   for (const q of queries) {
-    const cacheKey = `${q}::${desiredType || "any"}`;
-    if (faCache.has(cacheKey)) return faCache.get(cacheKey);
+    const cacheKey = `${q}::${year || ""}::${desiredType || "any"}`;
+    if (rtCache.has(cacheKey)) return rtCache.get(cacheKey);
 
-    await sleep(250);
+    const url = new URL("https://www.rottentomatoes.com/search");
+    url.searchParams.set("search", q);
+    const html = await scrapeFetch(url.toString(), "rt");
+    const cands = html ? parseRTSearch(html).filter((c) => !desiredType || c.type === desiredType) : [];
 
-    const faUrls = await faFindTitleUrls(q, 8);
-    if (!faUrls.length) {
-      const res = { fa: null, faUrl: null, faTitle: null, faType: null };
-      faCache.set(cacheKey, res);
+    const best = pickByTitleYear(cands, titles, year);
+    if (!best) {
+      rtCache.set(cacheKey, empty);
       continue;
     }
 
-    // Evaluamos varios candidatos
-    let best = null;
-    let bestScore = -Infinity;
+    const page = await scrapeFetch(best.url, "rt");
+    const scores = page ? parseRTTitlePage(page) : { critics: null, audience: null };
 
-    for (const faUrl of faUrls) {
-      await sleep(200);
-      const cand = await faGetRatingFromTitlePage(faUrl);
+    const res = { rtCrit: scores.critics ?? best.critics ?? null, rtAud: scores.audience ?? null, rtUrl: best.url };
+    rtCache.set(cacheKey, res);
+    return res;
+  }
 
-      // Regla dura: si detectamos tipo y NO coincide, descartamos
-      if (desiredType && cand.faType && cand.faType !== desiredType) continue;
+  return empty;
+}
 
-      // Similaridad de título
-      const sim = tokenSimilarity(es || orig || q, cand.faTitle || "");
-      if (sim < minSim) continue;
+const mcCache = new Map();
 
-      // Score
-      let score = sim * 100;
+async function getMCRatings({ titleEs, titleOriginal, altTitles = [], year, desiredType }) {
+  const titles = [cleanTitle(titleOriginal), cleanTitle(titleEs), ...altTitles.map(cleanTitle)];
+  const queries = [...new Set(titles.filter(Boolean))];
+  const empty = { mcCrit: null, mcUser: null, mcUrl: null };
 
-      // Bonus por título normalizado exacto
-      if (normalizeTitle(es || "") && normalizeTitle(es || "") === normalizeTitle(cand.faTitle || "")) score += 25;
+  for (const q of queries) {
+    const cacheKey = `${q}::${year || ""}::${desiredType || "any"}`;
+    if (mcCache.has(cacheKey)) return mcCache.get(cacheKey);
+
+    // category: 2 = películas, 1 = series
+    const url = new URL(`https://www.metacritic.com/search/${encodeURIComponent(q)}/`);
+    url.searchParams.set("category", desiredType === "series" ? "1" : "2");
+    const html = await scrapeFetch(url.toString(), "mc");
+    const cands = html ? parseMCSearch(html).filter((c) => !desiredType || c.type === desiredType) : [];
+
+    const best = pickByTitleYear(cands, titles, year);
+    if (!best) {
+      mcCache.set(cacheKey, empty);
+      continue;
+    }
 
-      // Bonus por año cercano si lo tenemos
-      const yItem = Number(year);
-      const yFA = Number(cand.faYear);
-      if (Number.isFinite(yItem) && Number.isFinite(yFA)) {
-        const diff = Math.abs(yItem - yFA);
-        score += diff === 0 ? 18 : diff === 1 ? 10 : 0;
-      }
+    const page = await scrapeFetch(best.url, "mc");
+    const scores = page ? parseMCTitlePage(page) : { critics: null, users: null };
 
-      // Bonus por tener rating
-      if (typeof cand.fa === "number") score += 3;
+    const res = { mcCrit: scores.critics ?? best.critics ?? null, mcUser: scores.users ?? null, mcUrl: best.url };
+    mcCache.set(cacheKey, res);
+    return res;
+  }
 
-      if (score > bestScore) {
-        bestScore = score;
-        best = { ...cand, faUrl };
-      }
-    }
+  return empty;
+}
 
-    const res = best
-      ? { fa: typeof best.fa === "number" ? best.fa : null, faUrl: best.faUrl, faTitle: best.faTitle || null, faType: best.faType || null }
-      : { fa: null, faUrl: null, faTitle: null, faType: null };
+// RT (crít./público) + MC (crít./usuarios): prioridad a OMDb para las notas de crítica
+async function getRTMCRatings({ titleEs, titleOriginal, altTitles = [], year, desiredType, omdb }) {
+  const rt = await getRTRatings({ titleEs, titleOriginal, altTitles, year, desiredType });
+  const mc = await getMCRatings({ titleEs, titleOriginal, altTitles, year, desiredType });
 
-    faCache.set(cacheKey, res);
+  return {
+    rtCrit: omdb?.rtCrit ?? rt.rtCrit,
+    rtAud: rt.rtAud,
+    mcCrit: omdb?.mcCrit ?? mc.mcCrit,
+    mcUser: mc.mcUser,
+    rtUrl: rt.rtUrl,
+    mcUrl: mc.mcUrl,
+  };
+}
+
+// ---------------- scoring (motor único: modules/ranking.js) ----------------
+// Top N; los fijados a mano (overrides "pin") entran siempre y desplazan a los últimos
+const pickTop = (items, n = 5) => rankItems(topItems(rankItems(items, { profile: PROFILE }), n), { profile: PROFILE });
 
-    if (res.fa != null || res.faTitle != null) return res;
+// ---------------- Build: SOLO con presencia en España ----------------
+// Fijados por IMDb id -> TMDb ids de pelis y series (/find; una sola vez para las dos listas)
+let pinnedFromImdb = null;
+
+async function resolvePinnedImdb() {
+  const out = { movie: [], series: [] };
+  for (const imdbId of pinnedImdbIds(OVERRIDES)) {
+    try {
+      const r = await tmdb(`find/${imdbId}`, { external_source: "imdb_id" });
+      out.movie.push(...(r.movie_results || []).map((x) => x.id));
+      out.series.push(...(r.tv_results || []).map((x) => x.id));
+      if (!r.movie_results?.length && !r.tv_results?.length) console.warn(`[overrides] ${imdbId} fijada pero no está en TMDb`);
+    } catch (e) {
+      console.warn(`[overrides] ${imdbId} fijada pero no se puede buscar en TMDb: ${e?.message || e}`);
+    }
   }
+  return out;
+}
 
-  return { fa: null, faUrl: null, faTitle: null, faType: null };
+// Fijados a mano (por TMDb o IMDb id) que no salen en discover: se añaden como candidatos
+// (el detalle de TMDb trae los mismos campos que un resultado de discover)
+async function withPinned(results, type) {
+  const out = [...results];
+  pinnedFromImdb ??= resolvePinnedImdb();
+  const ids = new Set([...pinnedTmdbIds(OVERRIDES, type), ...(await pinnedFromImdb)[type]]);
+  for (const id of ids) {
+    if (out.some((x) => x.id === id)) continue;
+    try {
+      out.push(await tmdb(`${type === "series" ? "tv" : "movie"}/${id}`, { language: "es-ES" }));
+    } catch (e) {
+      console.warn(`[overrides] ${type}:${id} fijada pero no disponible en TMDb: ${e?.message || e}`);
+    }
+  }
+  return out;
 }
 
-// ---------------- scoring ----------------
-const WEIGHTS = {
-  fa: 0.25,
-  imdb: 0.25,
-  rtCrit: 0.125,
-  rtAud: 0.125,
-  mcCrit: 0.125,
-  mcUser: 0.125,
-};
-const to10 = (x100) => (typeof x100 === "number" ? x100 / 10 : null);
-
-function computeFinal(x) {
-  const mapped = {
-    fa: typeof x.fa === "number" ? x.fa : null,
-    imdb: typeof x.imdb === "number" ? x.imdb : null,
-    rtCrit: to10(x.rtCrit),
-    rtAud: to10(x.rtAud),
-    mcCrit: to10(x.mcCrit),
-    mcUser: typeof x.mcUser === "number" ? x.mcUser : null,
+// Película candidata -> item del catálogo (null si no tiene presencia en España).
+// Se devuelve aunque no sea publicable (sin IMDb ni FA): entra en peliculas.json, no en el Top.
+async function enrichMovie(m) {
+  const cand = { list: "movies", type: "movie", tmdbId: m.id, title: m.title };
+  const ext = await tmdb(`movie/${m.id}/external_ids`);
+  const imdbId = ext.imdb_id;
+
+  const ov = findOverride(OVERRIDES, { type: "movie", tmdbId: m.id, imdbId });
+  if (ov?.exclude) return REPORT.exclude(cand, "override_exclude");
+
+  const es = await getMovieESDetails(m.id);
+  if (ov) {
+    es.providers = applyProviderOverrides(es.providers, ov);
+    es.platforms = applyPlatformOverrides(es.platforms, ov);
+  }
+
+  // Fijada a mano: entra aunque no cumpla las reglas
+  const hasES = !!es.releaseES || (es.platforms && es.platforms.length) || es.inCinemasES;
+  if (!hasES && !ov?.pin) return REPORT.exclude(cand, "no_es");
+  const omdb = await omdbByImdbId(imdbId);
+  const imdb = omdb?.imdb ?? null;
+
+  // Año del estreno original (el que usan FA/RT/MC), no el del estreno en España
+  const year = (m.release_date || es.releaseES || "").slice(0, 4) || null;
+  const altTitles = await getAltTitles("movie", m.id, { titleEs: es.titleEs || m.title, titleOriginal: es.titleOriginal });
+
+  const { fa, faVotes, faUrl, faTitle, faMatch } = await getFARating({
+    titleEs: es.titleEs || m.title,
+    titleOriginal: es.titleOriginal,
+    altTitles,
+    year,
+    desiredType: "movie",
+    directors: es.directors,
+    runtime: es.runtime,
+    forceUrl: ov?.faUrl || null,
+  });
+
+  const { rtCrit, rtAud, mcCrit, mcUser, rtUrl, mcUrl } = await getRTMCRatings({
+    titleEs: es.titleEs || m.title,
+    titleOriginal: es.titleOriginal,
+    altTitles,
+    year,
+    desiredType: "movie",
+    omdb,
+  });
+
+  const item = {
+    type: "movie",
+    // Identidad estable (data/titles/{key}.json): el TMDb id siempre existe, el IMDb id no
+    tmdbId: m.id,
+    key: titleKey("movie", m.id),
+
+    // Con un match de FA dudoso no se usa su título (se enseña el de TMDb)
+    title: ov?.title || (faMatch?.low ? null : faTitle) || readableTitle({ titleEs: es.titleEs || m.title, titleOriginal: es.titleOriginal, altTitles }),
+    titleTmdbEs: es.titleEs || m.title,
+    titleOriginal: es.titleOriginal || null,
+    faTitle: faTitle || null,
+    faUrl: faUrl || null,
+    faMatch: faMatch || null,
+    imdbUrl: imdbId ? `https://www.imdb.com/title/${imdbId}/` : null,
+
+    releaseES: es.releaseES || null,
+    // alias para el front (más claro)
+    releaseDateES: es.releaseES || null,
+    releasesES: es.releasesES,
+
+    platforms: es.platforms || [],
+    // Con tipo de acceso: incluido (flatrate) / gratis (free, ads) / alquiler (rent) / compra (buy)
+    providers: es.providers || [],
+    inCinemasES: !!es.inCinemasES,
+    where: whereString(es),
+
+    genres: es.genres || [],
+    fa,
+    imdb,
+
+    // nº de votos: alimentan el shrinkage y la confianza del ranking
+    faVotes: faVotes ?? null,
+    imdbVotes: omdb?.imdbVotes ?? null,
+
+    rtCrit,
+    rtAud,
+    mcCrit,
+    mcUser,
+    rtUrl,
+    mcUrl,
+
+    tmdb: typeof m.vote_average === "number" ? Number(m.vote_average.toFixed(1)) : null,
+    tmdbVotes: typeof m.vote_count === "number" ? m.vote_count : null,
+
+    // ✅ IMÁGENES para el front (poster + background)
+    posterPath: m.poster_path || null,
+    backdropPath: m.backdrop_path || null,
+
+    imdbId,
+
+    // Correcciones manuales aplicadas (data/overrides.json)
+    pinned: !!ov?.pin,
+    overridden: overriddenFields(ov),
+    overrideNote: ov?.note || null,
   };
 
-  let wsum = 0;
-  for (const k in WEIGHTS) if (mapped[k] != null) wsum += WEIGHTS[k];
-  if (wsum === 0) return null;
+  item.ranking = computeScore(item, { profile: PROFILE });
+  item.final = item.ranking.final;
+  item.coverage = `${item.ranking.present}/${item.ranking.total}`;
+  item.confidence = item.ranking.confidence.level;
 
-  let total = 0;
-  for (const k in WEIGHTS) if (mapped[k] != null) total += (WEIGHTS[k] / wsum) * mapped[k];
-  return Math.round(total * 100) / 100;
-}
+  if (item.ranking.publishable || item.pinned) REPORT.include(cand, item);
+  else REPORT.catalogue(cand, item, "no_coverage");
 
-function coverage(x) {
-  const keys = ["fa", "imdb", "rtCrit", "rtAud", "mcCrit", "mcUser"];
-  let have = 0;
-  for (const k of keys) if (typeof x[k] === "number") have++;
-  return `${have}/6`;
+  return item;
 }
 
-function hasCoverage(item) {
-  const c = String(item?.coverage ?? "").trim();
-  const m = c.match(/^(\d+)\s*\/\s*(\d+)$/);
-  if (!m) return false;
-  const have = Number(m[1]);
-  return Number.isFinite(have) && have > 0;
-}
+// Serie candidata -> item del radar (null si no pasa las reglas)
+// windowDays: solo estrenadas en los últimos N días (null = sin ventana, p. ej. "Para ver ahora")
+// season: { number, name, airDate, episodes } -> entrada propia de "nueva temporada"
+// list: lista del informe (series_new / series_now)
+async function enrichSeries(s, { now, windowDays = null, season = null, list = "series_now" } = {}) {
+  const cand = { list, type: "series", tmdbId: s.id, title: s.name, season };
+  const ext = await tmdb(`tv/${s.id}/external_ids`);
+  const imdbId = ext.imdb_id;
+
+  const ov = findOverride(OVERRIDES, { type: "series", tmdbId: s.id, imdbId });
+  if (ov?.exclude) return REPORT.exclude(cand, "override_exclude");
+
+  const es = { ...(await getSeriesESDetails(s.id)) };
+  if (ov) {
+    es.providers = applyProviderOverrides(es.providers, ov);
+    es.platforms = applyPlatformOverrides(es.platforms, ov);
+  }
 
-const pickTop = (items, n = 5) =>
-  items
-    .filter((x) => x && hasCoverage(x))
-    .sort((a, b) => (b.final ?? b.imdb ?? b.fa ?? 0) - (a.final ?? a.imdb ?? a.fa ?? 0))
-    .slice(0, n)
-    .map((x, idx) => ({ rank: idx + 1, ...x }));
+  const hasESPlatforms = Array.isArray(es.platforms) && es.platforms.length > 0;
+  if (!hasESPlatforms && !ov?.pin) return REPORT.exclude(cand, "no_es_platforms");
+
+  // Estreno ES: el de la temporada si es una temporada nueva, si no el de la serie
+  const releaseES = season ? season.airDate : es.releaseES;
+
+  // Si por lo que sea no hay releaseES, se descarta (no es auditable). Las fijadas a mano entran igual.
+  if (windowDays != null && !ov?.pin && !isInLastDays(releaseES, windowDays, now)) {
+    return REPORT.exclude(cand, "out_of_window", { detail: releaseES ? `${releaseES} (últimos ${windowDays} días)` : "sin fecha" });
+  }
+  const omdb = await omdbByImdbId(imdbId);
+  const imdb = omdb?.imdb ?? null;
+
+  const year = (es.releaseES || s.first_air_date || "").slice(0, 4) || null;
+  const altTitles = await getAltTitles("series", s.id, { titleEs: es.titleEs || s.name, titleOriginal: es.titleOriginal });
+
+  const { fa, faVotes, faUrl, faTitle, faMatch } = await getFARating({
+    titleEs: es.titleEs || s.name,
+    titleOriginal: es.titleOriginal,
+    altTitles,
+    year,
+    desiredType: "series",
+    directors: es.directors,
+    runtime: es.runtime,
+    forceUrl: ov?.faUrl || null,
+  });
+
+  const { rtCrit, rtAud, mcCrit, mcUser, rtUrl, mcUrl } = await getRTMCRatings({
+    titleEs: es.titleEs || s.name,
+    titleOriginal: es.titleOriginal,
+    altTitles,
+    year,
+    desiredType: "series",
+    omdb,
+  });
+
+  const item = {
+    type: "series",
+    // Identidad estable (data/titles/{key}.json): el TMDb id siempre existe, el IMDb id no
+    tmdbId: s.id,
+    key: titleKey("series", s.id),
+
+    // Con un match de FA dudoso no se usa su título (se enseña el de TMDb)
+    title: ov?.title || (faMatch?.low ? null : faTitle) || readableTitle({ titleEs: es.titleEs || s.name, titleOriginal: es.titleOriginal, altTitles }),
+    titleTmdbEs: es.titleEs || s.name,
+    titleOriginal: es.titleOriginal || null,
+    faTitle: faTitle || null,
+    faUrl: faUrl || null,
+    faMatch: faMatch || null,
+    imdbUrl: imdbId ? `https://www.imdb.com/title/${imdbId}/` : null,
+
+    releaseES: releaseES || null,
+    // alias para el front
+    releaseDateES: releaseES || null,
+
+    // "nueva serie" vs "nueva temporada" (solo en listas de estrenos)
+    kind: windowDays == null ? null : season ? "new_season" : "new_series",
+    season: season || null,
+    seriesFirstAirDate: es.releaseES || null,
+
+    platforms: es.platforms || [],
+    providers: es.providers || [],
+    inCinemasES: false,
+    where: whereString({ platforms: es.platforms, inCinemasES: false }),
+
+    genres: es.genres || [],
+    fa,
+    imdb,
+
+    // nº de votos: alimentan el shrinkage y la confianza del ranking
+    faVotes: faVotes ?? null,
+    imdbVotes: omdb?.imdbVotes ?? null,
+
+    rtCrit,
+    rtAud,
+    mcCrit,
+    mcUser,
+    rtUrl,
+    mcUrl,
+
+    tmdb: typeof s.vote_average === "number" ? Number(s.vote_average.toFixed(1)) : null,
+    tmdbVotes: typeof s.vote_count === "number" ? s.vote_count : null,
+
+    // ✅ IMÁGENES para el front (poster + background)
+    posterPath: s.poster_path || null,
+    backdropPath: s.backdrop_path || null,
+
+    imdbId,
+
+    // Correcciones manuales aplicadas (data/overrides.json)
+    pinned: !!ov?.pin,
+    overridden: overriddenFields(ov),
+    overrideNote: ov?.note || null,
+  };
+
+  item.ranking = computeScore(item, { profile: PROFILE });
+  item.final = item.ranking.final;
+  item.coverage = `${item.ranking.present}/${item.ranking.total}`;
+  item.confidence = item.ranking.confidence.level;
+
+  if (!item.ranking.publishable && !item.pinned) return REPORT.exclude(cand, "no_coverage", { item });
+
+  REPORT.include(cand, item);
+  return item;
+}
 
-// ---------------- Build: SOLO con presencia en España ----------------
 const buildMoviesES = async () => {
-  const now = new Date();
+  const now = new Date(NOW);
   const from = new Date(now);
   from.setDate(from.getDate() - 45);
   const toISO = (d) => d.toISOString().slice(0, 10);
@@ -463,75 +877,82 @@ const buildMoviesES = async () => {
     page: "1",
   });
 
-  const results = page1.results?.slice(0, 18) ?? [];
+  const results = await withPinned(page1.results?.slice(0, 18) ?? [], "movie");
   const enriched = [];
 
   for (const m of results) {
-    const es = await getMovieESDetails(m.id);
-
-    const hasES = !!es.releaseES || (es.platforms && es.platforms.length) || es.inCinemasES;
-    if (!hasES) continue;
-
-    const ext = await tmdb(`movie/${m.id}/external_ids`);
-    const imdbId = ext.imdb_id;
-    const imdb = await omdbByImdbId(imdbId);
-
-    const year = (es.releaseES || m.release_date || "").slice(0, 4) || null;
-    const { fa, faUrl, faTitle } = await getFARating({
-      titleEs: es.titleEs || m.title,
-      titleOriginal: es.titleOriginal,
-      year,
-      desiredType: "movie",
-    });
-
-    const item = {
-      type: "movie",
-
-      title: faTitle || (es.titleEs || m.title),
-      titleTmdbEs: es.titleEs || m.title,
-      faTitle: faTitle || null,
-      faUrl: faUrl || null,
-      imdbUrl: imdbId ? `https://www.imdb.com/title/${imdbId}/` : null,
-
-      releaseES: es.releaseES || null,
-      // alias para el front (más claro)
-      releaseDateES: es.releaseES || null,
-
-      platforms: es.platforms || [],
-      inCinemasES: !!es.inCinemasES,
-      where: whereString(es),
+    try {
+      const item = await enrichMovie(m);
+      if (item) enriched.push(item);
+    } catch (e) {
+      // Un título que falla no tumba el build: se salta y se sigue
+      console.warn(`[movies] ${m.title} (${m.id}) descartada: ${e?.message || e}`);
+      REPORT.error({ list: "movies", type: "movie", tmdbId: m.id, title: m.title }, e);
+    }
+  }
 
-      genres: es.genres || [],
-      fa,
-      imdb,
+  return rankCatalogue(enriched, { profile: PROFILE });
+};
 
-      rtCrit: null,
-      rtAud: null,
-      mcCrit: null,
-      mcUser: null,
+// Enriquecer + rankear una lista de series de TMDb (ranking completo, no solo el Top 5)
+async function enrichSeriesList(results, opts) {
+  const enriched = [];
 
-      tmdb: typeof m.vote_average === "number" ? Number(m.vote_average.toFixed(1)) : null,
+  for (const s of results) {
+    try {
+      const item = await enrichSeries(s, opts);
+      if (item) enriched.push(item);
+    } catch (e) {
+      console.warn(`[series] ${s.name} (${s.id}) descartada: ${e?.message || e}`);
+      REPORT.error({ list: opts.list, type: "series", tmdbId: s.id, title: s.name }, e);
+    }
+  }
 
-      // ✅ IMÁGENES para el front (poster + background)
-      posterPath: m.poster_path || null,
-      backdropPath: m.backdrop_path || null,
+  return rankItems(enriched, { profile: PROFILE });
+}
 
-      imdbId,
-    };
+// Temporadas nuevas de series ya estrenadas: una entrada por temporada cuyo air_date cae en la ventana
+async function buildNewSeasonsES(now, days) {
+  const from = new Date(now);
+  from.setDate(from.getDate() - days);
+  const toISO = (d) => d.toISOString().slice(0, 10);
 
-    item.final = computeFinal(item) ?? item.imdb ?? item.fa ?? null;
-    item.coverage = coverage(item);
+  // air_date = emisión de algún episodio en la ventana; first_air_date anterior = no es serie nueva
+  const page1 = await tmdb("discover/tv", {
+    sort_by: "popularity.desc",
+    "air_date.gte": toISO(from),
+    "air_date.lte": toISO(now),
+    "first_air_date.lte": toISO(from),
+    watch_region: "ES",
+    with_watch_monetization_types: "flatrate|free|ads|rent|buy",
+    page: "1",
+  });
 
-    if (!hasCoverage(item)) continue;
+  const results = page1.results?.slice(0, 18) ?? [];
+  const items = [];
 
-    enriched.push(item);
+  for (const s of results) {
+    try {
+      const es = await getSeriesESDetails(s.id);
+      const fresh = es.seasons.filter((x) => x.number > 1 && isInLastDays(x.airDate, days, now));
+      if (!fresh.length) REPORT.exclude({ list: "series_new", type: "series", tmdbId: s.id, title: s.name }, "no_new_season");
+
+      for (const season of fresh) {
+        const item = await enrichSeries(s, { now, windowDays: days, season, list: "series_new" });
+        if (item) items.push(item);
+      }
+    } catch (e) {
+      console.warn(`[series] ${s.name} (${s.id}) temporada descartada: ${e?.message || e}`);
+      REPORT.error({ list: "series_new", type: "series", tmdbId: s.id, title: s.name }, e);
+    }
   }
 
-  return pickTop(enriched, 5);
-};
+  return items;
+}
 
+// "Estrenos (2 semanas)": ✅ Regla: SOLO series (o temporadas) estrenadas en España en las ÚLTIMAS 2 SEMANAS
 const buildSeriesES = async () => {
-  const now = new Date();
+  const now = new Date(NOW);
   const from = new Date(now);
   from.setDate(from.getDate() - 60);
   const toISO = (d) => d.toISOString().slice(0, 10);
@@ -545,102 +966,303 @@ const buildSeriesES = async () => {
     page: "1",
   });
 
-  const results = page1.results?.slice(0, 18) ?? [];
-  const enriched = [];
+  const results = await withPinned(page1.results?.slice(0, 18) ?? [], "series");
+  const newSeries = await enrichSeriesList(results, { now, windowDays: 14, list: "series_new" });
+  const newSeasons = await buildNewSeasonsES(now, 14);
 
-  for (const s of results) {
-    const es = await getSeriesESDetails(s.id);
+  return rankItems([...newSeries, ...newSeasons], { profile: PROFILE });
+};
+
+// "Para ver ahora": series populares disponibles hoy en plataformas ES, sin mirar la fecha de estreno
+const buildSeriesNowES = async () => {
+  const now = new Date(NOW);
 
-    const hasESPlatforms = Array.isArray(es.platforms) && es.platforms.length > 0;
-    if (!hasESPlatforms) continue;
+  const page1 = await tmdb("discover/tv", {
+    sort_by: "popularity.desc",
+    watch_region: "ES",
+    with_watch_monetization_types: "flatrate|free|ads",
+    page: "1",
+  });
 
-    // ✅ Regla: SOLO series estrenadas en España en las ÚLTIMAS 2 SEMANAS
-    // Si por lo que sea no hay releaseES, se descarta (no es auditable)
-    if (!isInLastDays(es.releaseES, 14, now)) continue;
+  const results = page1.results?.slice(0, 18) ?? [];
+  return enrichSeriesList(results, { now, list: "series_now" });
+};
 
-    const ext = await tmdb(`tv/${s.id}/external_ids`);
-    const imdbId = ext.imdb_id;
-    const imdb = await omdbByImdbId(imdbId);
+// ---------------- Próximos estrenos en España ----------------
+// Sin notas todavía (no hay FA/IMDb que valgan): solo lo necesario para calendarios y la lista
+// "Próximos estrenos". Al estrenarse caen en las ventanas de buildMoviesES/buildSeriesES y
+// pasan a ser entradas normales del radar.
+const upcomingBase = (type, id, es, altTitles, ov, x, imdbId) => ({
+  upcoming: true,
+  type,
+  tmdbId: id,
+  imdbId,
+  key: titleKey(type, id),
+  title: ov?.title || readableTitle({ titleEs: es.titleEs, titleOriginal: es.titleOriginal, altTitles }),
+  titleTmdbEs: es.titleEs || null,
+  titleOriginal: es.titleOriginal || null,
+  genres: es.genres || [],
+  posterPath: x.poster_path || null,
+  backdropPath: x.backdrop_path || null,
+  popularity: typeof x.popularity === "number" ? x.popularity : null,
+});
+
+async function buildUpcomingMoviesES(now, days) {
+  const to = new Date(now);
+  to.setDate(to.getDate() + days);
+  const toISO = (d) => d.toISOString().slice(0, 10);
 
-    const year = (es.releaseES || s.first_air_date || "").slice(0, 4) || null;
-    const { fa, faUrl, faTitle } = await getFARating({
-      titleEs: es.titleEs || s.name,
-      titleOriginal: es.titleOriginal,
-      year,
-      desiredType: "series",
-    });
+  // release_date + region = estreno en España (cines 2|3 o digital 4), no el original
+  const page1 = await tmdb("discover/movie", {
+    region: "ES",
+    sort_by: "popularity.desc",
+    "release_date.gte": toISO(new Date(now.getTime() + 864e5)),
+    "release_date.lte": toISO(to),
+    with_release_type: "2|3|4",
+    page: "1",
+  });
 
-    const item = {
-      type: "series",
+  const items = [];
+  for (const m of page1.results?.slice(0, 18) ?? []) {
+    const cand = { list: "upcoming", type: "movie", tmdbId: m.id, key: titleKey("movie", m.id), title: m.title };
+    try {
+      // IMDb id como en enrichMovie: los overrides por "tt…" valen igual antes y después del estreno
+      const ext = await tmdb(`movie/${m.id}/external_ids`);
+      const imdbId = ext.imdb_id || null;
+      const ov = findOverride(OVERRIDES, { type: "movie", tmdbId: m.id, imdbId });
+      if (ov?.exclude) {
+        REPORT.exclude(cand, "override_exclude");
+        continue;
+      }
 
-      title: faTitle || (es.titleEs || s.name),
-      titleTmdbEs: es.titleEs || s.name,
-      faTitle: faTitle || null,
-      faUrl: faUrl || null,
-      imdbUrl: imdbId ? `https://www.imdb.com/title/${imdbId}/` : null,
+      const es = await getMovieESDetails(m.id);
+      if (ov) {
+        es.providers = applyProviderOverrides(es.providers, ov);
+        es.platforms = applyPlatformOverrides(es.platforms, ov);
+      }
+      const { theatrical, digital } = es.releasesES;
 
-      releaseES: es.releaseES || null,
-      // alias para el front
-      releaseDateES: es.releaseES || null,
+      // releaseES = la próxima fecha (la primera de TMDb puede ser un pase ya pasado)
+      const next = [theatrical, digital, es.releaseES].filter((d) => isInNextDays(d, days, now)).sort()[0];
+      if (!next) {
+        REPORT.exclude(cand, "no_upcoming_date", { detail: [theatrical, digital].filter(Boolean).join(" / ") || null });
+        continue;
+      }
+      const altTitles = await getAltTitles("movie", m.id, { titleEs: es.titleEs || m.title, titleOriginal: es.titleOriginal });
+      items.push({
+        ...upcomingBase("movie", m.id, { ...es, titleEs: es.titleEs || m.title }, altTitles, ov, m, imdbId),
+        releaseES: next,
+        releaseDateES: next,
+        releasesES: es.releasesES,
+        platforms: es.platforms || [],
+        providers: es.providers || [],
+        inCinemasES: !!es.inCinemasES,
+        where: whereString(es),
+      });
+      // Entra o no en el informe lo decide main (las ya estrenadas se quitan allí)
+    } catch (e) {
+      console.warn(`[upcoming] ${m.title} (${m.id}) descartada: ${e?.message || e}`);
+      REPORT.error(cand, e);
+    }
+  }
+  return items;
+}
 
-      platforms: es.platforms || [],
-      inCinemasES: false,
-      where: whereString({ platforms: es.platforms, inCinemasES: false }),
+// Series nuevas y temporadas nuevas con fecha en la ventana: una entrada por temporada
+async function buildUpcomingSeriesES(now, days) {
+  const to = new Date(now);
+  to.setDate(to.getDate() + days);
+  const toISO = (d) => d.toISOString().slice(0, 10);
 
-      genres: es.genres || [],
-      fa,
-      imdb,
+  const page1 = await tmdb("discover/tv", {
+    sort_by: "popularity.desc",
+    "air_date.gte": toISO(new Date(now.getTime() + 864e5)),
+    "air_date.lte": toISO(to),
+    watch_region: "ES",
+    with_watch_monetization_types: "flatrate|free|ads|rent|buy",
+    page: "1",
+  });
 
-      rtCrit: null,
-      rtAud: null,
-      mcCrit: null,
-      mcUser: null,
+  const items = [];
+  for (const s of page1.results?.slice(0, 18) ?? []) {
+    const cand = { list: "upcoming", type: "series", tmdbId: s.id, key: titleKey("series", s.id), title: s.name };
+    try {
+      const ext = await tmdb(`tv/${s.id}/external_ids`);
+      const imdbId = ext.imdb_id || null;
+      const ov = findOverride(OVERRIDES, { type: "series", tmdbId: s.id, imdbId });
+      if (ov?.exclude) {
+        REPORT.exclude(cand, "override_exclude");
+        continue;
+      }
 
-      tmdb: typeof s.vote_average === "number" ? Number(s.vote_average.toFixed(1)) : null,
+      const es = { ...(await getSeriesESDetails(s.id)) };
+      if (ov) {
+        es.providers = applyProviderOverrides(es.providers, ov);
+        es.platforms = applyPlatformOverrides(es.platforms, ov);
+      }
+      const seasons = es.seasons.filter((x) => isInNextDays(x.airDate, days, now));
+      if (!seasons.length) {
+        REPORT.exclude(cand, "no_upcoming_date");
+        continue;
+      }
 
-      // ✅ IMÁGENES para el front (poster + background)
-      posterPath: s.poster_path || null,
-      backdropPath: s.backdrop_path || null,
+      const altTitles = await getAltTitles("series", s.id, { titleEs: es.titleEs || s.name, titleOriginal: es.titleOriginal });
+      for (const season of seasons) {
+        items.push({
+          ...upcomingBase("series", s.id, { ...es, titleEs: es.titleEs || s.name }, altTitles, ov, s, imdbId),
+          releaseES: season.airDate,
+          releaseDateES: season.airDate,
+          kind: season.number > 1 ? "new_season" : "new_series",
+          season: season.number > 1 ? season : null,
+          seriesFirstAirDate: es.releaseES || null,
+          platforms: es.platforms || [],
+          providers: es.providers || [],
+          inCinemasES: false,
+          where: whereString({ platforms: es.platforms, inCinemasES: false }),
+        });
+      }
+    } catch (e) {
+      console.warn(`[upcoming] ${s.name} (${s.id}) descartada: ${e?.message || e}`);
+      REPORT.error(cand, e);
+    }
+  }
+  return items;
+}
 
-      imdbId,
-    };
+// Próximos N días: películas (cines o plataformas) y series/temporadas.
+// Orden por expectación: popularidad TMDb y, a igualdad, la fecha más cercana.
+const UPCOMING_DAYS = 60;
 
-    item.final = computeFinal(item) ?? item.imdb ?? item.fa ?? null;
-    item.coverage = coverage(item);
+async function buildUpcomingES(days = UPCOMING_DAYS) {
+  const now = new Date(NOW);
+  const items = [...(await buildUpcomingMoviesES(now, days)), ...(await buildUpcomingSeriesES(now, days))];
+  return items
+    .sort((a, b) => (b.popularity ?? -1) - (a.popularity ?? -1) || String(a.releaseES).localeCompare(String(b.releaseES)));
+}
+
+// ---------------- histórico ----------------
+const HISTORY_INDEX = "data/history/index.json";
 
-    if (!hasCoverage(item)) continue;
+async function readHistoryIndex() {
+  try {
+    const index = JSON.parse(await fs.readFile(HISTORY_INDEX, "utf8"));
+    return Array.isArray(index) ? index : [];
+  } catch {
+    return [];
+  }
+}
 
-    enriched.push(item);
+// Snapshots de las fechas dadas, en orden (los que no se pueden leer se saltan)
+async function readSnapshots(dates) {
+  const out = [];
+  for (const date of [...dates].sort()) {
+    try {
+      out.push(JSON.parse(await fs.readFile(`data/history/${date}.json`, "utf8")));
+    } catch (e) {
+      console.warn(`[history] no se puede leer data/history/${date}.json: ${e?.message || e}`);
+    }
   }
+  return out;
+}
 
-  return pickTop(enriched, 5);
-};
+// Snapshot más reciente anterior a `date` (null si no hay)
+async function readPreviousSnapshot(date) {
+  const prevDate = (await readHistoryIndex()).filter((d) => d < date).sort().pop();
+  if (!prevDate) return null;
+  try {
+    return JSON.parse(await fs.readFile(`data/history/${prevDate}.json`, "utf8"));
+  } catch {
+    return null;
+  }
+}
 
 // ---------------- main (latest + histórico) ----------------
 const main = async () => {
-  const movies = await buildMoviesES();
-  const series = await buildSeriesES();
+  const moviesAll = await buildMoviesES();
+  const movies = pickTop(moviesAll, 5);
+  const seriesNew = await buildSeriesES();
+  const seriesNow = await buildSeriesNowES();
+
+  // Próximos estrenos: las pelis que ya están en el catálogo (p. ej. en cines y con fecha de
+  // plataformas) no se repiten. Si falla, el radar sale igual sin esta lista.
+  const released = new Set(moviesAll.map((x) => x.key));
+  const upcomingAll = await buildUpcomingES().catch((e) => {
+    console.warn(`[upcoming] sin próximos estrenos: ${e?.message || e}`);
+    return [];
+  });
+  for (const x of upcomingAll) {
+    const cand = { list: "upcoming", type: x.type, tmdbId: x.tmdbId, key: x.key, title: x.title, season: x.season };
+    if (released.has(x.key)) REPORT.exclude(cand, "released", { detail: x.releaseES });
+    else REPORT.include(cand, null);
+  }
+  const upcoming = upcomingAll.filter((x) => !released.has(x.key)).map((x, i) => ({ ...x, rank: i + 1 }));
+
+  const date = NOW.toISOString().slice(0, 10);
+  const payload = {
+    updatedAt: date,
+    profile: PROFILE,
+    movies,
+    series: pickTop(seriesNew, 5),
+    // series.html: "Para ver ahora" / "Estrenos (2 semanas)"
+    series_now: seriesNow,
+    series_new: seriesNew,
+    // index.html: "Próximos estrenos" (próximos UPCOMING_DAYS días, por expectación)
+    upcoming,
+  };
 
-  const date = new Date().toISOString().slice(0, 10);
-  const payload = { updatedAt: date, movies, series };
+  // Movimientos respecto al snapshot anterior (badges "↑2" / "NUEVO" del index)
+  payload.diff = diffSnapshots(await readPreviousSnapshot(date), payload);
 
   await fs.mkdir("data", { recursive: true });
-  await fs.mkdir("data/history", { recursive: true });
-
   await fs.writeFile("data/latest.json", JSON.stringify(payload, null, 2), "utf8");
+
+  // Catálogo completo de películas (peliculas.html): todos los candidatos enriquecidos, no solo el Top 5
+  const catalogue = { updatedAt: date, profile: PROFILE, items: moviesAll };
+  await fs.writeFile("data/peliculas.json", JSON.stringify(catalogue, null, 2), "utf8");
+
+  // Informe de calidad (diagnostico.html): en todos los builds, también en replay
+  const report = await REPORT.write({
+    updatedAt: date,
+    profile: PROFILE,
+    mode: REPLAY ? "replay" : RECORD ? "record" : "live",
+    ranked: { movies: moviesAll, series_new: seriesNew, series_now: seriesNow, upcoming },
+    fetchErrors,
+  });
+  console.log(
+    `Wrote data/report.json: ${report.candidates} candidatos, ${report.excluded} descartados, ` +
+      `${report.errors} con error, ${report.faMissing} sin FA, ${report.faLow} con FA dudosa`
+  );
+
+  // Replay: solo reconstruye latest.json, el histórico real no se toca
+  if (REPLAY) {
+    console.log("Wrote data/latest.json and data/peliculas.json (replay)");
+    return;
+  }
+
+  await fs.mkdir("data/history", { recursive: true });
   await fs.writeFile(`data/history/${date}.json`, JSON.stringify(payload, null, 2), "utf8");
 
-  const indexPath = "data/history/index.json";
-  let index = [];
-  try {
-    index = JSON.parse(await fs.readFile(indexPath, "utf8"));
-    if (!Array.isArray(index)) index = [];
-  } catch {}
+  const index = await readHistoryIndex();
   if (!index.includes(date)) index.push(date);
   index.sort();
-  await fs.writeFile(indexPath, JSON.stringify(index, null, 2), "utf8");
-
-  console.log("Wrote data/latest.json and data/history/" + date + ".json");
+  await fs.writeFile(HISTORY_INDEX, JSON.stringify(index, null, 2), "utf8");
+
+  // Evolución por título (rank, nota, FA/IMDb, plataformas) y feeds, a partir de todo el histórico
+  const snapshots = await readSnapshots(index);
+  const titles = await writeTitleTimelines(snapshots);
+  const feeds = await writeFeeds(snapshots);
+
+  // Calendarios .ics: estrenos ES recientes (los del radar) y próximos
+  const linkable = new Set([...moviesAll, ...seriesNew, ...seriesNow, ...upcoming].map((x) => x.key));
+  const calendars = await writeCalendars(
+    releaseEvents([...moviesAll, ...seriesNew, ...upcoming], { linkable, now: NOW }),
+    { now: NOW }
+  );
+
+  console.log("Wrote data/latest.json, data/peliculas.json and data/history/" + date + ".json");
+  console.log(`Wrote ${titles} timelines in data/titles/ and feeds: ${feeds.join(", ")}`);
+  console.log(`Wrote ${calendars.length} calendars in data/calendar/ (${calendars[0].events} events)`);
+  if (fetchErrors.length) console.warn(`${fetchErrors.length} peticiones fallidas tras reintentos`);
 };
 
 main();
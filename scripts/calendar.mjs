@@ -0,0 +1,188 @@
+// scripts/calendar.mjs
+// Calendarios .ics (iCalendar, RFC 5545) de estrenos en España: cines, llegada a plataformas
+// y temporadas nuevas. Uno con todo, uno por tipo y uno por plataforma (y "cines").
+import fs from "node:fs/promises";
+import path from "node:path";
+import { stripDiacritics } from "../modules/title_normalize.js";
+import { resolvePlatform } from "../modules/platforms.js";
+import { SITE_URL } from "./feeds.mjs";
+
+const UID_HOST = new URL(SITE_URL).host;
+
+/**
+ * @typedef {Object} ReleaseEvent
+ * @property {string} uid
+ * @property {string} date            - YYYY-MM-DD (evento de día completo)
+ * @property {"movie"|"series"} type
+ * @property {string} summary
+ * @property {string[]} platforms     - vacío si es estreno en cines
+ * @property {boolean} cinema
+ * @property {string[]} genres
+ * @property {string|null} url
+ */
+
+export const slugify = (s) =>
+  stripDiacritics(String(s ?? "").toLowerCase())
+    .replace(/\+/g, " plus ")
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+
+// Ventana de los calendarios: lo estrenado hace poco y lo que viene (días)
+export const CALENDAR_WINDOW = { past: 30, next: 60 };
+
+const dayOffset = (now, days) => new Date(now.getTime() + days * 864e5).toISOString().slice(0, 10);
+
+const tmdbUrl = (item) => `https://www.themoviedb.org/${item.type === "series" ? "tv" : "movie"}/${item.tmdbId}`;
+
+/**
+ * Eventos de estreno de una lista de ítems (publicados o próximos).
+ * Películas: un evento para cines (releasesES.theatrical) y otro para plataformas (releasesES.digital);
+ * sin esas fechas, uno con releaseES. Series: la fecha de la temporada (o de la serie, si es nueva).
+ * Solo entran los que caen en CALENDAR_WINDOW alrededor de `now`.
+ * @param {Object[]} items
+ * @param {{ linkable?: Set<string>, now?: Date }} [opts] - linkable: keys con ficha en titulo.html (el resto enlaza a TMDb)
+ * @returns {ReleaseEvent[]}
+ */
+export function releaseEvents(items, { linkable = new Set(), now = new Date() } = {}) {
+  const from = dayOffset(now, -CALENDAR_WINDOW.past);
+  const to = dayOffset(now, CALENDAR_WINDOW.next);
+  const events = [];
+
+  for (const it of items) {
+    if (!it?.tmdbId) continue;
+    const url = it.key && linkable.has(it.key) ? `${SITE_URL}titulo.html?id=${encodeURIComponent(it.key)}` : tmdbUrl(it);
+    const base = { type: it.type, genres: it.genres || [], url, title: it.title };
+    const platforms = it.platforms || [];
+
+    if (it.type === "movie") {
+      const { theatrical = null, digital = null } = it.releasesES || {};
+      if (theatrical) {
+        events.push({ ...base, uid: `movie-${it.tmdbId}-cines`, date: theatrical, summary: `🎬 ${it.title} · en cines`, platforms: [], cinema: true });
+      }
+      if (digital) {
+        events.push({ ...base, uid: `movie-${it.tmdbId}-plataformas`, date: digital, summary: `🎬 ${it.title} · en plataformas`, platforms, cinema: false });
+      }
+      if (!theatrical && !digital && it.releaseES) {
+        events.push({ ...base, uid: `movie-${it.tmdbId}`, date: it.releaseES, summary: `🎬 ${it.title}`, platforms, cinema: !!it.inCinemasES });
+      }
+      continue;
+    }
+
+    if (!it.releaseES) continue;
+    const season = it.kind === "new_season" && it.season?.number ? it.season.number : null;
+    events.push({
+      ...base,
+      uid: `tv-${it.tmdbId}${season ? `-t${season}` : ""}`,
+      date: it.releaseES,
+      summary: season ? `📺 ${it.title} · T${season}` : `📺 ${it.title} · nueva serie`,
+      platforms,
+      cinema: false,
+    });
+  }
+
+  // Mismo uid (p. ej. una peli en el catálogo y en próximos): se queda el primero
+  const seen = new Set();
+  return events.filter((e) => e.date >= from && e.date <= to && !seen.has(e.uid) && seen.add(e.uid));
+}
+
+// ---------------- serialización iCalendar ----------------
+const escText = (s) =>
+  String(s ?? "")
+    .replaceAll("\\", "\\\\")
+    .replaceAll(";", "\\;")
+    .replaceAll(",", "\\,")
+    .replace(/\r?\n/g, "\\n");
+
+// Líneas de máx. 75 octetos (UTF-8), continuación con espacio
+function fold(line) {
+  const out = [];
+  let cur = "";
+  let bytes = 0;
+  for (const ch of line) {
+    const n = Buffer.byteLength(ch);
+    if (bytes + n > (out.length ? 74 : 75)) {
+      out.push(cur);
+      cur = "";
+      bytes = 0;
+    }
+    cur += ch;
+    bytes += n;
+  }
+  out.push(cur);
+  return out.join("\r\n ");
+}
+
+const icsDate = (iso) => iso.replaceAll("-", "");
+const nextDay = (iso) => new Date(Date.parse(`${iso}T00:00:00Z`) + 864e5).toISOString().slice(0, 10);
+const icsStamp = (d) => d.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+
+function vevent(e, stamp) {
+  const where = e.cinema ? "Cines" : e.platforms.join(", ") || "España";
+  const description = [
+    where,
+    e.genres.length ? `Género: ${e.genres.join(" / ")}` : null,
+    e.url,
+  ].filter(Boolean).join("\n");
+
+  return [
+    "BEGIN:VEVENT",
+    `UID:${e.uid}-${e.date}@${UID_HOST}`,
+    `DTSTAMP:${stamp}`,
+    `DTSTART;VALUE=DATE:${icsDate(e.date)}`,
+    `DTEND;VALUE=DATE:${icsDate(nextDay(e.date))}`,
+    `SUMMARY:${escText(e.summary)}`,
+    `LOCATION:${escText(where)}`,
+    `DESCRIPTION:${escText(description)}`,
+    e.url ? `URL:${e.url}` : null,
+    e.genres.length ? `CATEGORIES:${e.genres.map(escText).join(",")}` : null,
+    "TRANSP:TRANSPARENT",
+    "END:VEVENT",
+  ].filter(Boolean);
+}
+
+export function icsCalendar(name, events, now = new Date()) {
+  const stamp = icsStamp(now);
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//Series y Pelis//Radar semanal//ES",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escText(name)}`,
+    "X-WR-TIMEZONE:Europe/Madrid",
+    ...[...events].sort((a, b) => a.date.localeCompare(b.date)).flatMap((e) => vevent(e, stamp)),
+    "END:VCALENDAR",
+  ];
+  return lines.map(fold).join("\r\n") + "\r\n";
+}
+
+/**
+ * Escribe {dir}/estrenos.ics (todo), peliculas.ics, series.ics, cines.ics y {plataforma}.ics,
+ * más {dir}/index.json con la lista de calendarios (para enlazarlos desde la web).
+ * @returns {Promise<{ file: string, name: string, events: number }[]>}
+ */
+export async function writeCalendars(events, { dir = "data/calendar", now = new Date() } = {}) {
+  const calendars = [
+    { file: "estrenos.ics", name: "Estrenos en España", events },
+    { file: "peliculas.ics", name: "Estrenos en España · Películas", events: events.filter((e) => e.type === "movie") },
+    { file: "series.ics", name: "Estrenos en España · Series", events: events.filter((e) => e.type === "series") },
+    { file: "cines.ics", name: "Estrenos en España · Cines", events: events.filter((e) => e.cinema) },
+  ];
+
+  const platforms = [...new Set(events.flatMap((e) => e.platforms))].sort((a, b) => a.localeCompare(b, "es"));
+  for (const p of platforms) {
+    const slug = resolvePlatform(p)?.id || slugify(p);
+    if (!slug || calendars.some((c) => c.file === `${slug}.ics`)) continue;
+    calendars.push({ file: `${slug}.ics`, name: `Estrenos en España · ${p}`, events: events.filter((e) => e.platforms.includes(p)) });
+  }
+
+  await fs.rm(dir, { recursive: true, force: true });
+  await fs.mkdir(dir, { recursive: true });
+  for (const c of calendars) {
+    await fs.writeFile(path.join(dir, c.file), icsCalendar(c.name, c.events, now), "utf8");
+  }
+
+  const index = calendars.map((c) => ({ file: c.file, name: c.name, events: c.events.length }));
+  await fs.writeFile(path.join(dir, "index.json"), JSON.stringify(index, null, 2), "utf8");
+  return index;
+}
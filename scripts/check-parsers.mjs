@@ -0,0 +1,82 @@
+// scripts/check-parsers.mjs
+// Comprueba los parsers de scraping (scripts/sources/) contra el HTML guardado en fixtures/html/,
+// sin red: si RT, Metacritic o FilmAffinity cambian el marcado, se actualiza el fixture y esto avisa.
+// Uso: npm run check:parsers
+import fs from "node:fs/promises";
+import assert from "node:assert/strict";
+import { parseRTSearch, parseRTTitlePage } from "./sources/rottentomatoes.mjs";
+import { parseMCSearch, parseMCTitlePage } from "./sources/metacritic.mjs";
+import { parseFASearch, parseFATitlePage } from "./sources/filmaffinity.mjs";
+
+const FIXTURES_DIR = "fixtures/html";
+
+// [fixture, parser, resultado esperado]
+const CASES = [
+  [
+    "rt-search.html",
+    parseRTSearch,
+    [
+      { title: "Dune: Part Two", year: 2024, type: "movie", url: "https://www.rottentomatoes.com/m/dune_part_two", critics: 92 },
+      { title: "Dune", year: 2021, type: "movie", url: "https://www.rottentomatoes.com/m/dune_2021", critics: 83 },
+      { title: "Dune Drifter", year: 2016, type: "movie", url: "https://www.rottentomatoes.com/m/dune_drifter", critics: null },
+      { title: "Dune: Prophecy", year: 2024, type: "series", url: "https://www.rottentomatoes.com/tv/dune_prophecy", critics: 76 },
+    ],
+  ],
+  ["rt-movie.html", parseRTTitlePage, { critics: 92, audience: 95 }],
+  [
+    "mc-search.html",
+    parseMCSearch,
+    [
+      { title: "Dune: Part Two", year: 2024, type: "movie", url: "https://www.metacritic.com/movie/dune-part-two/", critics: 79 },
+      { title: "Dune", year: 2021, type: "movie", url: "https://www.metacritic.com/movie/dune-2021/", critics: 74 },
+      { title: "Dune: Prophecy", year: 2024, type: "series", url: "https://www.metacritic.com/tv/dune-prophecy/", critics: 62 },
+    ],
+  ],
+  ["mc-movie.html", parseMCTitlePage, { critics: 79, users: 8.6 }],
+  [
+    "fa-search.html",
+    parseFASearch,
+    [
+      "https://www.filmaffinity.com/es/film385453.html",
+      "https://www.filmaffinity.com/es/film664092.html",
+      "https://www.filmaffinity.com/es/film530918.html",
+    ],
+  ],
+  [
+    "fa-movie.html",
+    parseFATitlePage,
+    {
+      fa: 7.9,
+      faVotes: 31204,
+      title: "Dune: Parte dos",
+      titleOriginal: "Dune: Part Two",
+      year: 2024,
+      type: "movie",
+      directors: ["Denis Villeneuve"],
+      runtime: 166,
+    },
+  ],
+];
+
+let failed = 0;
+for (const [file, parse, expected] of CASES) {
+  try {
+    const html = await fs.readFile(`${FIXTURES_DIR}/${file}`, "utf8");
+    assert.deepEqual(parse(html), expected);
+    console.log(`ok   ${file} (${parse.name})`);
+  } catch (e) {
+    failed++;
+    console.error(`FAIL ${file} (${parse.name})\n${e?.message || e}`);
+  }
+}
+
+// Sin HTML (petición fallida, página vacía): nada, pero sin reventar
+for (const parse of [parseRTSearch, parseMCSearch, parseFASearch]) assert.deepEqual(parse(""), []);
+assert.deepEqual(parseRTTitlePage(""), { critics: null, audience: null });
+assert.deepEqual(parseMCTitlePage(""), { critics: null, users: null });
+
+if (failed) {
+  console.error(`${failed} de ${CASES.length} parsers no dan lo esperado`);
+  process.exit(1);
+}
+console.log(`${CASES.length} parsers ok`);
@@ -0,0 +1,69 @@
+// scripts/check-ranking.mjs
+// Comprobaciones del motor de ranking (modules/ranking.js) sin red ni build.
+// Uso: npm run check:ranking
+import assert from "node:assert/strict";
+import { rankItems, rankCatalogue, topItems, computeScore } from "../modules/ranking.js";
+
+// Top 5 de un snapshot antiguo de data/history (sin nº de votos): nota y puesto tal cual se publicaron
+const SNAPSHOT_SIN_VOTOS = [
+  { title: "镖人：风起大漠", type: "movie", imdb: 7.4, fa: null, final: 7.4 },
+  { title: "The Goat", type: "movie", imdb: 6.9, fa: null, final: 6.9 },
+  { title: "Ruta de escape", type: "movie", imdb: 7.2, fa: 6.6, final: 6.9 },
+  { title: "Sin piedad", type: "movie", imdb: 6.2, fa: 5.8, final: 6 },
+  { title: "Los hermanos demolición", type: "movie", imdb: 6.5, fa: 5.4, final: 5.95 },
+];
+
+const CHECKS = [
+  [
+    "snapshot sin votos: misma nota y mismo orden (los empates, por cobertura)",
+    () => {
+      const ranked = rankItems(SNAPSHOT_SIN_VOTOS);
+      assert.deepEqual(
+        Object.fromEntries(ranked.map((x) => [x.title, x.final])),
+        Object.fromEntries(SNAPSHOT_SIN_VOTOS.map((x) => [x.title, x.final]))
+      );
+      assert.deepEqual(ranked.map((x) => x.final), SNAPSHOT_SIN_VOTOS.map((x) => x.final));
+    },
+  ],
+  [
+    "sin nº de votos: confianza baja",
+    () => {
+      assert.equal(computeScore({ type: "movie", imdb: 9.4, imdbVotes: "N/A" }).confidence.level, "baja");
+    },
+  ],
+  [
+    "con pocos votos la nota baja hacia el prior",
+    () => {
+      const few = computeScore({ type: "movie", imdb: 9.1, imdbVotes: 40 });
+      const many = computeScore({ type: "movie", imdb: 7.9, imdbVotes: 50000 });
+      assert.ok(many.score > few.score);
+    },
+  ],
+  [
+    "fijada sin IMDb ni FA: sigue en el Top (al final) y no se repite en el catálogo",
+    () => {
+      const pinned = { title: "Fijada", type: "movie", pinned: true };
+      const ranked = rankItems([...SNAPSHOT_SIN_VOTOS, pinned, { title: "Sin notas", type: "movie" }]);
+      assert.deepEqual(ranked.map((x) => x.title).slice(-1), ["Fijada"]);
+      assert.ok(topItems(ranked, 5).some((x) => x.title === "Fijada"));
+      assert.equal(rankCatalogue([pinned]).length, 1);
+    },
+  ],
+];
+
+let failed = 0;
+for (const [name, check] of CHECKS) {
+  try {
+    check();
+    console.log(`ok   ${name}`);
+  } catch (e) {
+    failed++;
+    console.error(`FAIL ${name}\n${e?.message || e}`);
+  }
+}
+
+if (failed) {
+  console.error(`${failed} de ${CHECKS.length} comprobaciones fallan`);
+  process.exit(1);
+}
+console.log(`${CHECKS.length} comprobaciones ok`);
@@ -0,0 +1,189 @@
+// scripts/feeds.mjs
+// Feeds del radar para lectores: RSS 2.0, Atom y JSON Feed 1.1, con una entrada por snapshot
+// del histórico (Top 5 de películas y series con nota y plataformas) y variantes por tipo.
+import fs from "node:fs/promises";
+import path from "node:path";
+
+export const SITE_URL = "https://cpardogo.github.io/Series-y-Pelis/";
+// Base de los ids (tag URI): fija, para que los lectores no repitan entradas
+const TAG = `tag:${new URL(SITE_URL).host},2026:radar`;
+
+// Entradas por feed (las más recientes)
+const MAX_ENTRIES = 20;
+
+/**
+ * Variantes: "" = todo, y una por tipo. suffix va en el nombre del fichero (feed-peliculas.xml…).
+ */
+export const FEED_VARIANTS = [
+  { suffix: "", title: "Radar semanal · Series y Pelis", lists: ["movies", "series"] },
+  { suffix: "peliculas", title: "Radar semanal · Películas", lists: ["movies"] },
+  { suffix: "series", title: "Radar semanal · Series", lists: ["series"] },
+];
+
+const LIST_LABELS = { movies: "🎬 Películas", series: "📺 Series" };
+
+const escXml = (s) =>
+  String(s ?? "")
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll('"', "&quot;");
+
+// "]]>" rompería el CDATA
+const cdata = (s) => `<![CDATA[${String(s ?? "").replaceAll("]]>", "]]]]><![CDATA[>")}]]>`;
+
+const fileName = (base, suffix, ext) => `${base}${suffix ? `-${suffix}` : ""}.${ext}`;
+const isoDate = (date) => `${date}T00:00:00Z`;
+
+function itemUrl(item) {
+  if (item.key) return `${SITE_URL}titulo.html?id=${encodeURIComponent(item.key)}`;
+  return item.faUrl || item.imdbUrl || SITE_URL;
+}
+
+function itemLine(item) {
+  const final = typeof item.final === "number" ? item.final.toFixed(2) : "—";
+  const where = [item.inCinemasES ? "Cines" : null, ...(item.platforms || [])].filter(Boolean).join(" · ") || item.where || "España";
+  const season = item.kind === "new_season" && item.season?.number ? ` (T${item.season.number})` : "";
+  return { final, where, season, text: `${item.rank ?? ""}. ${item.title}${season} — ${final} · ${where}` };
+}
+
+function entryHTML(snapshot, lists) {
+  return lists
+    .map((list) => {
+      const items = (snapshot[list] || []).slice(0, 5);
+      const lis = items.length
+        ? items
+            .map((x) => {
+              const { final, where, season } = itemLine(x);
+              return `<li><a href="${escXml(itemUrl(x))}">${escXml(x.title)}</a>${escXml(season)} — <b>${final}</b> · ${escXml(where)}</li>`;
+            })
+            .join("")
+        : "<li>Sin datos</li>";
+      return `<h3>${LIST_LABELS[list]}</h3><ol>${lis}</ol>`;
+    })
+    .join("");
+}
+
+function entryText(snapshot, lists) {
+  return lists
+    .map((list) => [LIST_LABELS[list], ...(snapshot[list] || []).slice(0, 5).map((x) => itemLine(x).text)].join("\n"))
+    .join("\n\n");
+}
+
+// Una entrada por snapshot, de la más reciente a la más antigua
+function entries(snapshots, variant) {
+  return [...snapshots]
+    .filter((s) => s?.updatedAt)
+    .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+    .slice(0, MAX_ENTRIES)
+    .map((s) => ({
+      id: `${TAG}${variant.suffix ? `/${variant.suffix}` : ""}/${s.updatedAt}`,
+      url: `${SITE_URL}history.html?date=${s.updatedAt}`,
+      title: `${variant.title} · ${s.updatedAt}`,
+      date: s.updatedAt,
+      html: entryHTML(s, variant.lists),
+      text: entryText(s, variant.lists),
+    }));
+}
+
+export function rssFeed(snapshots, variant, feedUrl) {
+  const list = entries(snapshots, variant);
+  const updated = new Date(isoDate(list[0]?.date || new Date().toISOString().slice(0, 10))).toUTCString();
+  const items = list
+    .map(
+      (e) => `    <item>
+      <title>${escXml(e.title)}</title>
+      <link>${escXml(e.url)}</link>
+      <guid isPermaLink="false">${escXml(e.id)}</guid>
+      <pubDate>${new Date(isoDate(e.date)).toUTCString()}</pubDate>
+      <description>${cdata(e.html)}</description>
+    </item>`
+    )
+    .join("\n");
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">
+  <channel>
+    <title>${escXml(variant.title)}</title>
+    <link>${SITE_URL}</link>
+    <description>Top 5 semanal en España con notas de FilmAffinity, IMDb, Rotten Tomatoes y Metacritic</description>
+    <language>es-ES</language>
+    <lastBuildDate>${updated}</lastBuildDate>
+    <atom:link href="${escXml(feedUrl)}" rel="self" type="application/rss+xml"/>
+${items}
+  </channel>
+</rss>
+`;
+}
+
+export function atomFeed(snapshots, variant, feedUrl) {
+  const list = entries(snapshots, variant);
+  const updated = isoDate(list[0]?.date || new Date().toISOString().slice(0, 10));
+  const items = list
+    .map(
+      (e) => `  <entry>
+    <title>${escXml(e.title)}</title>
+    <id>${escXml(e.id)}</id>
+    <link href="${escXml(e.url)}"/>
+    <updated>${isoDate(e.date)}</updated>
+    <content type="html">${escXml(e.html)}</content>
+  </entry>`
+    )
+    .join("\n");
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="es-ES">
+  <title>${escXml(variant.title)}</title>
+  <id>${TAG}${variant.suffix ? `/${variant.suffix}` : ""}</id>
+  <link href="${SITE_URL}"/>
+  <link rel="self" type="application/atom+xml" href="${escXml(feedUrl)}"/>
+  <updated>${updated}</updated>
+  <author><name>Series y Pelis</name></author>
+${items}
+</feed>
+`;
+}
+
+export function jsonFeed(snapshots, variant, feedUrl) {
+  return {
+    version: "https://jsonfeed.org/version/1.1",
+    title: variant.title,
+    home_page_url: SITE_URL,
+    feed_url: feedUrl,
+    language: "es-ES",
+    authors: [{ name: "Series y Pelis" }],
+    items: entries(snapshots, variant).map((e) => ({
+      id: e.id,
+      url: e.url,
+      title: e.title,
+      content_html: e.html,
+      content_text: e.text,
+      date_published: isoDate(e.date),
+    })),
+  };
+}
+
+/**
+ * Escribe {dir}/feed.xml, atom.xml, feed.json y sus variantes por tipo (feed-peliculas.xml…).
+ * @returns {Promise<string[]>} ficheros escritos
+ */
+export async function writeFeeds(snapshots, { dir = "data" } = {}) {
+  const written = [];
+  const write = async (name, body) => {
+    await fs.writeFile(path.join(dir, name), body, "utf8");
+    written.push(name);
+  };
+
+  for (const v of FEED_VARIANTS) {
+    const url = (name) => `${SITE_URL}${dir}/${name}`;
+    const rss = fileName("feed", v.suffix, "xml");
+    const atom = fileName("atom", v.suffix, "xml");
+    const json = fileName("feed", v.suffix, "json");
+
+    await write(rss, rssFeed(snapshots, v, url(rss)));
+    await write(atom, atomFeed(snapshots, v, url(atom)));
+    await write(json, JSON.stringify(jsonFeed(snapshots, v, url(json)), null, 2));
+  }
+
+  return written;
+}
@@ -0,0 +1,225 @@
+// scripts/http.mjs
+// Capa HTTP común del build: rate limit por host, reintentos con backoff exponencial
+// (429/5xx/red/timeout), timeout por petición y caché en disco con TTL por fuente.
+import fs from "node:fs/promises";
+import path from "node:path";
+import crypto from "node:crypto";
+
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * Política por fuente.
+ * - minIntervalMs: separación mínima entre peticiones al mismo host
+ * - ttlMs: validez de la respuesta cacheada en disco (0 = no cachear)
+ */
+export const SOURCES = {
+  tmdb: { minIntervalMs: 60, timeoutMs: 15000, ttlMs: 6 * HOUR },
+  omdb: { minIntervalMs: 150, timeoutMs: 15000, ttlMs: 24 * HOUR },
+  fa: { minIntervalMs: 1200, timeoutMs: 20000, ttlMs: 72 * HOUR },
+  rt: { minIntervalMs: 1000, timeoutMs: 20000, ttlMs: 72 * HOUR },
+  mc: { minIntervalMs: 1000, timeoutMs: 20000, ttlMs: 72 * HOUR },
+  default: { minIntervalMs: 250, timeoutMs: 15000, ttlMs: 0 },
+};
+
+const MAX_RETRIES = 4;
+const BACKOFF_BASE_MS = 800;
+const BACKOFF_MAX_MS = 30000;
+
+const CACHE_DIR = process.env.HTTP_CACHE_DIR || ".cache/http";
+const CACHE_ENABLED = process.env.HTTP_CACHE !== "off";
+
+// Parámetros que nunca van a la clave de caché ni a disco
+const SECRET_PARAMS = ["api_key", "apikey"];
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+// ---------------- rate limit por host ----------------
+const hostNextAt = new Map();
+
+async function throttle(host, minIntervalMs) {
+  const now = Date.now();
+  const at = Math.max(now, hostNextAt.get(host) ?? 0);
+  hostNextAt.set(host, at + minIntervalMs);
+  if (at > now) await sleep(at - now);
+}
+
+// ---------------- caché en disco ----------------
+function publicUrl(url) {
+  const u = new URL(url);
+  for (const p of SECRET_PARAMS) u.searchParams.delete(p);
+  return u.toString();
+}
+
+function urlHash(url) {
+  return crypto.createHash("sha1").update(publicUrl(url)).digest("hex");
+}
+
+function cacheFile(source, url) {
+  return path.join(CACHE_DIR, source, `${urlHash(url)}.json`);
+}
+
+async function cacheRead(source, url, ttlMs) {
+  if (!CACHE_ENABLED || !ttlMs) return null;
+  try {
+    const entry = JSON.parse(await fs.readFile(cacheFile(source, url), "utf8"));
+    if (Date.now() - Date.parse(entry.fetchedAt) > ttlMs) return null;
+    return entry;
+  } catch {
+    return null;
+  }
+}
+
+async function cacheWrite(source, url, entry) {
+  if (!CACHE_ENABLED) return;
+  const file = cacheFile(source, url);
+  try {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, JSON.stringify(entry), "utf8");
+  } catch {}
+}
+
+// ---------------- reintentos ----------------
+const isRetryable = (status) => status === 429 || status >= 500;
+
+function backoffMs(attempt, retryAfter) {
+  const s = Number(retryAfter);
+  if (Number.isFinite(s) && s >= 0) return Math.min(s * 1000, BACKOFF_MAX_MS);
+  const exp = BACKOFF_BASE_MS * 2 ** attempt;
+  return Math.min(exp + Math.random() * BACKOFF_BASE_MS, BACKOFF_MAX_MS);
+}
+
+// Errores que han agotado reintentos (para el log del build)
+export const fetchErrors = [];
+
+// GET en vivo (o desde caché) aplicando la política de la fuente
+async function fetchWithPolicy(url, { source = "default", as = "json", headers = {} } = {}) {
+  const policy = { ...SOURCES.default, ...SOURCES[source] };
+  const target = String(url);
+
+  const cached = await cacheRead(source, target, policy.ttlMs);
+  if (cached) return { ok: cached.status < 400, status: cached.status, data: cached.data, fromCache: true };
+
+  const host = new URL(target).host;
+  let lastError = null;
+
+  for (let attempt = 0; attempt <= MAX_RETRIES; attempt++) {
+    await throttle(host, policy.minIntervalMs);
+
+    let r;
+    try {
+      r = await fetch(target, { headers, signal: AbortSignal.timeout(policy.timeoutMs) });
+    } catch (e) {
+      // red caída / timeout: reintentable
+      lastError = e?.name === "TimeoutError" ? `timeout ${policy.timeoutMs}ms` : String(e?.message || e);
+      if (attempt < MAX_RETRIES) await sleep(backoffMs(attempt));
+      continue;
+    }
+
+    if (isRetryable(r.status)) {
+      lastError = `HTTP ${r.status}`;
+      if (attempt < MAX_RETRIES) await sleep(backoffMs(attempt, r.headers.get("retry-after")));
+      continue;
+    }
+
+    let data = null;
+    if (r.ok) {
+      try {
+        data = as === "text" ? await r.text() : await r.json();
+      } catch (e) {
+        lastError = `respuesta no válida: ${e?.message || e}`;
+        break;
+      }
+    }
+
+    if (policy.ttlMs && (r.ok || r.status === 404)) {
+      await cacheWrite(source, target, { url: publicUrl(target), status: r.status, fetchedAt: new Date().toISOString(), data });
+    }
+
+    if (!r.ok && r.status !== 404) fetchErrors.push({ source, url: publicUrl(target), error: `HTTP ${r.status}` });
+    return { ok: r.ok, status: r.status, data, fromCache: false };
+  }
+
+  fetchErrors.push({ source, url: publicUrl(target), error: lastError });
+  console.warn(`[http] ${source}: ${lastError} en ${publicUrl(target)}`);
+  return { ok: false, status: 0, data: null, fromCache: false };
+}
+
+// ---------------- record / replay ----------------
+// record: cada respuesta (también los fallos) se guarda en {dir}/{source}/{hash}.json
+// replay: solo se leen esos ficheros; sin red, sin caché y sin claves
+let mode = "live";
+let fixturesDir = null;
+
+const FIXTURES_ROOT = "fixtures/replay";
+
+function fixtureFile(source, url) {
+  return path.join(fixturesDir, source, `${urlHash(url)}.json`);
+}
+
+async function latestFixturesDir() {
+  const dirs = (await fs.readdir(FIXTURES_ROOT, { withFileTypes: true }).catch(() => []))
+    .filter((d) => d.isDirectory())
+    .map((d) => d.name)
+    .sort();
+  if (!dirs.length) throw new Error(`No hay grabaciones en ${FIXTURES_ROOT}/ (ejecuta antes con --record)`);
+  return path.join(FIXTURES_ROOT, dirs[dirs.length - 1]);
+}
+
+/**
+ * Activa --record. meta (p. ej. { now }) se guarda en {dir}/meta.json para el replay.
+ */
+export async function startRecording(dir, meta = {}) {
+  mode = "record";
+  fixturesDir = dir || path.join(FIXTURES_ROOT, new Date().toISOString().slice(0, 10));
+  await fs.mkdir(fixturesDir, { recursive: true });
+  await fs.writeFile(
+    path.join(fixturesDir, "meta.json"),
+    JSON.stringify({ ...meta, recordedAt: new Date().toISOString() }, null, 2),
+    "utf8"
+  );
+  return fixturesDir;
+}
+
+/**
+ * Activa --replay. Sin dir, usa la grabación más reciente de fixtures/replay/.
+ * @returns {Promise<{ dir: string, meta: Object }>}
+ */
+export async function startReplay(dir) {
+  mode = "replay";
+  fixturesDir = dir || (await latestFixturesDir());
+  let meta = {};
+  try {
+    meta = JSON.parse(await fs.readFile(path.join(fixturesDir, "meta.json"), "utf8"));
+  } catch {}
+  return { dir: fixturesDir, meta };
+}
+
+/**
+ * GET con la política de la fuente. Nunca lanza: devuelve { ok, status, data, fromCache }.
+ * - as: "json" | "text"
+ * - Solo se cachean respuestas 2xx y 404 (definitivas).
+ */
+export async function httpGet(url, opts = {}) {
+  const source = opts.source ?? "default";
+  const target = String(url);
+
+  if (mode === "replay") {
+    try {
+      const f = JSON.parse(await fs.readFile(fixtureFile(source, target), "utf8"));
+      return { ok: f.status >= 200 && f.status < 300, status: f.status, data: f.data, fromCache: true };
+    } catch {
+      fetchErrors.push({ source, url: publicUrl(target), error: "sin grabación" });
+      return { ok: false, status: 0, data: null, fromCache: true };
+    }
+  }
+
+  const res = await fetchWithPolicy(target, opts);
+
+  if (mode === "record") {
+    const file = fixtureFile(source, target);
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, JSON.stringify({ url: publicUrl(target), status: res.status, data: res.data }), "utf8");
+  }
+
+  return res;
+}
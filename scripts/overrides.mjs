@@ -0,0 +1,123 @@
+// scripts/overrides.mjs
+// Correcciones manuales (data/overrides.json) que aplica el build.
+//
+// Formato (version 1):
+// {
+//   "version": 1,
+//   "items": {
+//     "tt27613895":  { "faUrl": "https://www.filmaffinity.com/es/film679634.html", "note": "…" },
+//     "movie:12345": { "title": "Título bueno", "platformsAdd": ["Filmin"], "platformsRemove": ["Apple TV"] },
+//     "tv:67890":    { "exclude": true },
+//     "movie:555":   { "pin": true }
+//   }
+// }
+// Claves: IMDb id ("tt…") o TMDb ("movie:{id}" / "tv:{id}"). Si hay ambas, se combinan (gana la de TMDb).
+// Un "pin" por IMDb id lo traduce el build a TMDb (/find) para añadirlo como candidato.
+import fs from "node:fs/promises";
+import { canonicalPlatformName, resolvePlatform } from "../modules/platforms.js";
+
+export const OVERRIDES_VERSION = 1;
+
+const FIELDS = ["faUrl", "title", "platformsAdd", "platformsRemove", "exclude", "pin", "note"];
+
+const tmdbKey = (type, id) => `${type === "series" ? "tv" : "movie"}:${id}`;
+
+/**
+ * Lee el fichero de overrides. Si no existe, no hay correcciones; si la versión no es la
+ * soportada, se para el build (mejor que aplicar correcciones mal interpretadas).
+ * @returns {Promise<Object<string, Object>>}
+ */
+export async function loadOverrides(file = "data/overrides.json") {
+  let raw;
+  try {
+    raw = await fs.readFile(file, "utf8");
+  } catch {
+    return {};
+  }
+
+  const j = JSON.parse(raw);
+  if (j?.version !== OVERRIDES_VERSION) {
+    throw new Error(`${file}: versión ${j?.version} no soportada (esperada ${OVERRIDES_VERSION})`);
+  }
+
+  const out = {};
+  for (const [key, ov] of Object.entries(j.items || {})) {
+    const unknown = Object.keys(ov || {}).filter((k) => !FIELDS.includes(k));
+    if (unknown.length) console.warn(`[overrides] ${key}: campos desconocidos ignorados (${unknown.join(", ")})`);
+    out[key] = ov || {};
+  }
+  return out;
+}
+
+/**
+ * Override de un título por TMDb id y/o IMDb id (null si no hay).
+ * @param {Object} overrides - resultado de loadOverrides
+ * @param {{ type: "movie"|"series", tmdbId?: number, imdbId?: string|null }} ids
+ */
+export function findOverride(overrides, { type, tmdbId, imdbId }) {
+  const byImdb = imdbId ? overrides[imdbId] : null;
+  const byTmdb = tmdbId != null ? overrides[tmdbKey(type, tmdbId)] : null;
+  if (!byImdb && !byTmdb) return null;
+  return { ...byImdb, ...byTmdb };
+}
+
+/**
+ * TMDb ids fijados ("pin") de un tipo: entran como candidatos aunque no salgan en discover.
+ */
+export function pinnedTmdbIds(overrides, type) {
+  const prefix = type === "series" ? "tv:" : "movie:";
+  return Object.entries(overrides)
+    .filter(([k, ov]) => k.startsWith(prefix) && ov.pin)
+    .map(([k]) => Number(k.slice(prefix.length)))
+    .filter(Number.isFinite);
+}
+
+/**
+ * IMDb ids ("tt…") fijados: pueden ser película o serie, el build los busca en TMDb.
+ */
+export function pinnedImdbIds(overrides) {
+  return Object.entries(overrides)
+    .filter(([k, ov]) => /^tt\d+$/.test(k) && ov.pin)
+    .map(([k]) => k);
+}
+
+// Nombres de las correcciones con el de la marca ("Netflix Standard with Ads" -> "Netflix")
+const platformNames = (names) => (names || []).map(canonicalPlatformName).filter(Boolean);
+
+/**
+ * Plataformas tras platformsAdd / platformsRemove.
+ */
+export function applyPlatformOverrides(platforms, ov) {
+  const remove = new Set(platformNames(ov?.platformsRemove));
+  const list = (platforms || []).filter((p) => !remove.has(p));
+  for (const p of platformNames(ov?.platformsAdd)) if (!list.includes(p)) list.push(p);
+  return list;
+}
+
+/**
+ * Providers ({ name, type }) tras platformsAdd / platformsRemove. Las añadidas a mano entran
+ * como incluidas en suscripción (flatrate): es el caso habitual (catálogo que TMDb no tiene).
+ */
+export function applyProviderOverrides(providers, ov) {
+  const remove = new Set(platformNames(ov?.platformsRemove));
+  const list = (providers || []).filter((p) => !remove.has(p.name));
+  for (const name of platformNames(ov?.platformsAdd)) {
+    if (!list.some((p) => p.name === name && p.type === "flatrate")) {
+      list.push({ id: null, platform: resolvePlatform(name)?.id ?? null, name, type: "flatrate" });
+    }
+  }
+  return list;
+}
+
+/**
+ * Campos del ítem que ha tocado el override (para el aviso "corregido manualmente").
+ */
+export function overriddenFields(ov) {
+  if (!ov) return [];
+  const fields = [];
+  if (ov.faUrl) fields.push("faUrl");
+  if (ov.title) fields.push("title");
+  if (ov.platformsAdd?.length || ov.platformsRemove?.length) fields.push("platforms");
+  if (ov.pin) fields.push("pin");
+  return fields;
+}
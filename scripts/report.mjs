@@ -0,0 +1,139 @@
+// scripts/report.mjs
+// Informe de calidad de datos de cada build (data/report.json, lo pinta diagnostico.html):
+// todos los candidatos de TMDb que se han mirado, la regla que ha dejado fuera a cada uno,
+// qué le falta a los que entran (modules/coverage.js), la confianza del match con FA y las
+// peticiones que han fallado tras los reintentos (http.mjs).
+import fs from "node:fs/promises";
+import { computeCoverage } from "../modules/coverage.js";
+import { SOURCE_LABELS } from "../modules/ranking.js";
+
+export const REPORT_FILE = "data/report.json";
+
+// Reglas de descarte (clave estable en el JSON + texto para la página)
+export const EXCLUSION_RULES = {
+  override_exclude: "Excluido a mano (data/overrides.json)",
+  no_es: "Sin presencia en España: ni estreno, ni plataformas, ni cines",
+  no_es_platforms: "Sin plataformas en España",
+  out_of_window: "Estreno en España fuera de la ventana",
+  no_new_season: "Ninguna temporada nueva en la ventana",
+  no_upcoming_date: "Sin fecha de estreno en España en los próximos días",
+  released: "Ya estrenada: está en el catálogo de películas (no se repite en próximos)",
+  no_coverage: "Sin nota de IMDb ni de FilmAffinity",
+  error: "Error al procesarlo",
+};
+
+/**
+ * @typedef {Object} ReportEntry
+ * @property {string} list                 - movies | series_new | series_now | upcoming
+ * @property {"movie"|"series"} type
+ * @property {number} tmdbId
+ * @property {string|null} key
+ * @property {string} title
+ * @property {number|null} season
+ * @property {"included"|"catalogue"|"excluded"|"error"} status - catalogue: en peliculas.json pero no en el Top
+ * @property {string|null} rule            - clave de EXCLUSION_RULES
+ * @property {string|null} detail          - fecha, plataformas, mensaje de error…
+ * @property {string|null} coverage        - "4/6" (fuentes con nota)
+ * @property {string[]|null} missing       - computeCoverage(item).missing + notas que faltan (RT, MC, TMDb)
+ * @property {{ found: boolean, confidence: number|null, method: string|null, low: boolean }|null} fa
+ */
+
+// Lo que le falta al ítem: datos de computeCoverage y, además, las notas que no tiene
+// (ranking.missing: RT/MC, que coverage.js no mira) y la de TMDb, que no entra en el ranking
+function missingOf(item) {
+  const out = [...computeCoverage(item).missing];
+  const has = (label) => out.some((x) => x.toLowerCase() === label.toLowerCase());
+  for (const k of item.ranking?.missing || []) {
+    const label = SOURCE_LABELS[k];
+    if (label && !has(label)) out.push(label);
+  }
+  if (typeof item.tmdb !== "number") out.push("TMDb");
+  return out;
+}
+
+function faInfo(item) {
+  if (!item) return null;
+  return {
+    found: !!item.faUrl,
+    confidence: item.faMatch?.confidence ?? null,
+    method: item.faMatch?.method ?? null,
+    low: !!item.faMatch?.low,
+  };
+}
+
+/**
+ * Colector del build: los build* van apuntando cada candidato y main lo escribe al final.
+ */
+export function createBuildReport() {
+  const entries = [];
+
+  const add = (status, { list, type, tmdbId, key = null, title, season = null }, { rule = null, detail = null, item = null } = {}) => {
+    entries.push({
+      list,
+      type,
+      tmdbId,
+      key: item?.key ?? key,
+      title: item?.title || title || `${type} ${tmdbId}`,
+      season: season?.number ?? season ?? null,
+      status,
+      rule,
+      detail: detail == null ? null : String(detail),
+      coverage: item?.coverage ?? null,
+      missing: item ? missingOf(item) : null,
+      fa: faInfo(item),
+    });
+    return null;
+  };
+
+  return {
+    /** Entra en la lista (con item: cobertura y FA) */
+    include: (cand, item) => add("included", cand, { item }),
+    /** En el catálogo de películas pero no en el Top (p. ej. sin IMDb ni FA) */
+    catalogue: (cand, item, rule) => add("catalogue", cand, { rule, item }),
+    /** Descartado por una regla; devuelve null para poder hacer `return report.exclude(…)` */
+    exclude: (cand, rule, { detail = null, item = null } = {}) => add("excluded", cand, { rule, detail, item }),
+    error: (cand, e) => add("error", cand, { rule: "error", detail: e?.message || e }),
+
+    /**
+     * Escribe el informe. ranked: listas finales ({ movies: [...], … }) para apuntar el puesto.
+     * @returns {Promise<Object>} el resumen
+     */
+    async write({ updatedAt, profile, mode, ranked = {}, fetchErrors = [], file = REPORT_FILE }) {
+      const rankOf = new Map();
+      for (const [list, items] of Object.entries(ranked)) {
+        for (const x of items || []) rankOf.set(`${list}:${x.key}:${x.season?.number ?? ""}`, x.rank ?? null);
+      }
+      const candidates = entries.map((e) => ({ ...e, rank: rankOf.get(`${e.list}:${e.key}:${e.season ?? ""}`) ?? null }));
+
+      const count = (pred) => candidates.filter(pred).length;
+      const byRule = {};
+      for (const e of candidates) if (e.rule) byRule[e.rule] = (byRule[e.rule] || 0) + 1;
+
+      const summary = {
+        candidates: candidates.length,
+        included: count((e) => e.status === "included"),
+        catalogue: count((e) => e.status === "catalogue"),
+        excluded: count((e) => e.status === "excluded"),
+        errors: count((e) => e.status === "error"),
+        byRule,
+        faMissing: count((e) => e.fa && !e.fa.found),
+        faLow: count((e) => e.fa?.low),
+        fetchErrors: fetchErrors.length,
+      };
+
+      const report = {
+        updatedAt,
+        profile,
+        mode,
+        rules: EXCLUSION_RULES,
+        summary,
+        candidates,
+        fetchErrors,
+      };
+
+      await fs.mkdir("data", { recursive: true });
+      await fs.writeFile(file, JSON.stringify(report, null, 2), "utf8");
+      return summary;
+    },
+  };
+}
@@ -0,0 +1,128 @@
+// scripts/sources/filmaffinity.mjs
+// Parsers de FilmAffinity (scraping, no oficial). Solo HTML -> datos: sin red,
+// así se pueden probar contra fixtures/html/fa-*.html.
+import * as cheerio from "cheerio";
+import { stripDiacritics } from "../../modules/title_normalize.js";
+
+const FA_BASE = "https://www.filmaffinity.com";
+
+function toNum(v) {
+  const s = String(v ?? "").trim();
+  if (!s) return null;
+  const n = Number(s.replace(",", "."));
+  return Number.isFinite(n) ? n : null;
+}
+
+export function normalizeFAUrl(href) {
+  if (!href) return null;
+  if (href.startsWith("http")) return href;
+  if (href.startsWith("/")) return `${FA_BASE}${href}`;
+  return `${FA_BASE}/es/${href}`;
+}
+
+/**
+ * Links a fichas (/es/filmNNN.html) de https://www.filmaffinity.com/es/search.php?stext=…
+ * @returns {string[]}
+ */
+export function parseFASearch(html) {
+  const $ = cheerio.load(html || "");
+  const links = [];
+
+  $("a").each((_, a) => {
+    const href = $(a).attr("href");
+    if (href && href.includes("/es/film") && href.endsWith(".html")) links.push(href);
+  });
+
+  return [...new Set(links.map(normalizeFAUrl).filter(Boolean))];
+}
+
+// Detecta si una página de FA parece "series" o "movie" (heurística)
+function detectFATypeFromPage($) {
+  const txt = stripDiacritics($.text()).toLowerCase();
+
+  // señales típicas de series
+  const looksSeries =
+    txt.includes("miniserie") ||
+    txt.includes("serie de tv") ||
+    txt.includes("serie") ||
+    txt.includes("tv series") ||
+    txt.includes("episodios") ||
+    txt.includes("temporada");
+
+  // señales típicas de película
+  const looksMovie =
+    txt.includes("pelicula") ||
+    txt.includes("largometraje") ||
+    txt.includes("cortometraje");
+
+  if (looksSeries && !looksMovie) return "series";
+  if (looksMovie && !looksSeries) return "movie";
+  return null; // no concluyente
+}
+
+// Valor de la ficha técnica (<dl class="movie-info"><dt>Etiqueta</dt><dd>…</dd>)
+function movieInfo($, label) {
+  let out = null;
+  $("dl.movie-info dt").each((_, dt) => {
+    if (out != null) return;
+    if (stripDiacritics($(dt).text()).trim().toLowerCase() === label) {
+      out = $(dt).next("dd").text().replace(/\s+/g, " ").trim() || null;
+    }
+  });
+  return out;
+}
+
+/**
+ * Ficha de título: nota, votos y las señales para el matching (título original, año,
+ * dirección, duración y tipo). Los títulos se devuelven tal cual (sin limpiar).
+ * @returns {{ fa: number|null, faVotes: number|null, title: string|null, titleOriginal: string|null,
+ *   year: number|null, type: "movie"|"series"|null, directors: string[], runtime: number|null }}
+ */
+export function parseFATitlePage(html) {
+  const $ = cheerio.load(html || "");
+
+  const title =
+    $("h1").first().text().replace(/\s+/g, " ").trim() ||
+    $("title").first().text().replace(/\s*[|-]\s*FilmAffinity.*/i, "").trim() ||
+    null;
+
+  const titleOriginal = movieInfo($, "titulo original");
+
+  // Año: ficha técnica, si no (YYYY) del <title>
+  const yearTxt = $('[itemprop="datePublished"]').first().text() || movieInfo($, "ano") || $("title").first().text();
+  const mYear = String(yearTxt || "").match(/\b(19|20)\d{2}\b/);
+  const year = mYear ? Number(mYear[0]) : null;
+
+  // Duración en minutos ("166 min.")
+  const durTxt = $('[itemprop="duration"]').first().text() || movieInfo($, "duracion") || "";
+  const mDur = durTxt.match(/(\d{1,4})\s*min/i);
+  const runtime = mDur ? Number(mDur[1]) : null;
+
+  const directors = [];
+  $('[itemprop="director"] [itemprop="name"], dd.directors .credits a, dd.directors a').each((_, el) => {
+    const name = $(el).text().replace(/\s+/g, " ").trim();
+    if (name && !directors.includes(name)) directors.push(name);
+  });
+
+  // Nota: itemprop="ratingValue" en <meta> o en cualquier elemento (content o texto)
+  let fa = null;
+  $('[itemprop="ratingValue"]').each((_, el) => {
+    if (fa != null) return;
+    const v = toNum($(el).attr("content") ?? $(el).text());
+    if (v != null && v >= 0 && v <= 10) fa = v;
+  });
+
+  if (fa == null) {
+    const txt = $('[class*="rating"]').first().text();
+    const m = txt && txt.match(/(\d{1,2}[.,]\d)/);
+    if (m) fa = toNum(m[1]);
+  }
+
+  // Nº de votos ("12.345" en FA)
+  let faVotes = null;
+  const rc = $('[itemprop="ratingCount"]').first();
+  const rcRaw = String(rc.attr("content") || rc.text() || "").replace(/[^\d]/g, "");
+  if (rcRaw) faVotes = Number(rcRaw);
+
+  return { fa, faVotes, title, titleOriginal, year, type: detectFATypeFromPage($), directors, runtime };
+}
@@ -0,0 +1,85 @@
+// scripts/sources/metacritic.mjs
+// Parsers de Metacritic (scraping, no oficial). Solo HTML -> datos: sin red,
+// así se pueden probar contra fixtures/html/mc-*.html.
+import * as cheerio from "cheerio";
+
+const MC_BASE = "https://www.metacritic.com";
+
+function toNum(v) {
+  const s = String(v ?? "").trim();
+  if (!s) return null;
+  const n = Number(s.replace(",", "."));
+  return Number.isFinite(n) ? n : null;
+}
+
+function toYear(v) {
+  const m = String(v ?? "").match(/\b(19|20)\d{2}\b/);
+  return m ? Number(m[0]) : null;
+}
+
+function absUrl(href) {
+  if (!href) return null;
+  if (href.startsWith("http")) return href;
+  return `${MC_BASE}${href.startsWith("/") ? "" : "/"}${href}`;
+}
+
+/**
+ * Resultados de https://www.metacritic.com/search/{q}/?category=2 (pelis) o =1 (series).
+ * @returns {{ title: string, year: number|null, type: "movie"|"series", url: string, critics: number|null }[]}
+ */
+export function parseMCSearch(html) {
+  const $ = cheerio.load(html || "");
+  const out = [];
+  const seen = new Set();
+
+  $('a[href^="/movie/"], a[href^="/tv/"]').each((_, a) => {
+    const $a = $(a);
+    const href = $a.attr("href");
+    const url = absUrl(href);
+    if (!url || seen.has(url)) return;
+
+    const title = ($a.find('[data-testid="product-title"]').first().text() || $a.find("p").first().text())
+      .replace(/\s+/g, " ")
+      .trim();
+    if (!title) return;
+
+    seen.add(url);
+    out.push({
+      title,
+      year: toYear($a.find('[data-testid="product-release-date"], .c-pageSiteSearch-results-item-date').first().text() || $a.text()),
+      type: href.startsWith("/tv/") ? "series" : "movie",
+      url,
+      critics: toNum($a.find(".c-siteReviewScore span").first().text()),
+    });
+  });
+
+  return out;
+}
+
+/**
+ * Ficha de título: Metascore (críticos, 0..100) y User Score (0..10).
+ * "tbd" (sin suficientes votos) se devuelve como null.
+ * @returns {{ critics: number|null, users: number|null }}
+ */
+export function parseMCTitlePage(html) {
+  const $ = cheerio.load(html || "");
+
+  let critics = toNum($('[data-testid="critic-score-info"] .c-siteReviewScore span').first().text());
+  let users = toNum($('[data-testid="user-score-info"] .c-siteReviewScore span').first().text());
+
+  // Fallback: JSON-LD (solo trae el Metascore)
+  if (critics == null) {
+    $('script[type="application/ld+json"]').each((_, s) => {
+      if (critics != null) return;
+      try {
+        const j = JSON.parse($(s).text());
+        critics = toNum(j?.aggregateRating?.ratingValue);
+      } catch {}
+    });
+  }
+
+  if (critics != null && (critics < 0 || critics > 100)) critics = null;
+  if (users != null && (users < 0 || users > 10)) users = null;
+
+  return { critics, users };
+}
@@ -0,0 +1,91 @@
+// scripts/sources/rottentomatoes.mjs
+// Parsers de Rotten Tomatoes (scraping, no oficial). Solo HTML -> datos: sin red,
+// así se pueden probar contra fixtures/html/rt-*.html.
+import * as cheerio from "cheerio";
+
+const RT_BASE = "https://www.rottentomatoes.com";
+
+function toPct(v) {
+  if (v === null || v === undefined) return null;
+  const m = String(v).match(/(\d{1,3})/);
+  if (!m) return null;
+  const n = Number(m[1]);
+  return Number.isFinite(n) && n >= 0 && n <= 100 ? n : null;
+}
+
+function toYear(v) {
+  const m = String(v ?? "").match(/\b(19|20)\d{2}\b/);
+  return m ? Number(m[0]) : null;
+}
+
+function absUrl(href) {
+  if (!href) return null;
+  if (href.startsWith("http")) return href;
+  if (href.startsWith("/")) return `${RT_BASE}${href}`;
+  return `${RT_BASE}/${href}`;
+}
+
+/**
+ * Resultados de https://www.rottentomatoes.com/search?search=…
+ * @returns {{ title: string, year: number|null, type: "movie"|"series", url: string, critics: number|null }[]}
+ */
+export function parseRTSearch(html) {
+  const $ = cheerio.load(html || "");
+  const out = [];
+
+  $("search-page-result").each((_, group) => {
+    const groupType = $(group).attr("type");
+    const type = groupType === "movie" ? "movie" : groupType === "tvSeries" ? "series" : null;
+    if (!type) return;
+
+    $(group)
+      .find("search-page-media-row")
+      .each((__, row) => {
+        const $row = $(row);
+        const $a = $row.find('a[slot="title"]').first();
+        const title = $a.text().replace(/\s+/g, " ").trim();
+        const url = absUrl($a.attr("href"));
+        if (!title || !url) return;
+
+        out.push({
+          title,
+          year: toYear($row.attr("releaseyear") || $row.attr("startyear")),
+          type,
+          url,
+          critics: toPct($row.attr("tomatometerscore")),
+        });
+      });
+  });
+
+  return out;
+}
+
+/**
+ * Ficha de título (/m/… o /tv/…): Tomatometer (críticos) y Popcornmeter (público), 0..100.
+ * Prueba, por orden: JSON del scorecard, slots <rt-text>, y el antiguo <score-board>.
+ * @returns {{ critics: number|null, audience: number|null }}
+ */
+export function parseRTTitlePage(html) {
+  const $ = cheerio.load(html || "");
+
+  let critics = null;
+  let audience = null;
+
+  const json = $("#media-scorecard-json").first().text();
+  if (json) {
+    try {
+      const j = JSON.parse(json);
+      critics = toPct(j?.criticsScore?.score ?? j?.criticsScore?.scorePercent);
+      audience = toPct(j?.audienceScore?.score ?? j?.audienceScore?.scorePercent);
+    } catch {}
+  }
+
+  if (critics == null) critics = toPct($('rt-text[slot="criticsScore"]').first().text());
+  if (audience == null) audience = toPct($('rt-text[slot="audienceScore"]').first().text());
+
+  const board = $("score-board, score-board-deprecated").first();
+  if (critics == null) critics = toPct(board.attr("tomatometerscore"));
+  if (audience == null) audience = toPct(board.attr("audiencescore"));
+
+  return { critics, audience };
+}
@@ -0,0 +1,120 @@
+// scripts/titles.mjs
+// Evolución por título a partir del histórico: data/titles/{key}.json con un punto por
+// snapshot en el que aparece (rank, nota final, FA/IMDb, plataformas) y el ítem completo más
+// reciente (para titulo.html) + data/titles/index.json.
+import fs from "node:fs/promises";
+import path from "node:path";
+import { titleKey } from "../modules/history_diff.js";
+
+// Orden de preferencia si un título sale en varias listas del mismo snapshot
+const LISTS = ["movies", "series", "series_new", "series_now"];
+
+const imdbOf = (item) => item?.imdbId || String(item?.imdbUrl || "").match(/tt\d+/)?.[0] || null;
+const keyOf = (item) => item?.key || titleKey(item?.type, item?.tmdbId);
+
+function point(date, list, item) {
+  return {
+    date,
+    list,
+    rank: item.rank ?? null,
+    final: typeof item.final === "number" ? item.final : null,
+    fa: item.fa ?? null,
+    faVotes: item.faVotes ?? null,
+    imdb: item.imdb ?? null,
+    imdbVotes: item.imdbVotes ?? null,
+    coverage: item.coverage ?? null,
+    platforms: Array.isArray(item.platforms) ? item.platforms : [],
+    season: item.kind === "new_season" ? item.season?.number ?? null : null,
+  };
+}
+
+/**
+ * Timelines a partir de los snapshots ({ updatedAt, movies, series, … }), en orden de fecha.
+ * Los snapshots antiguos no traen key: se resuelve por IMDb id con lo visto en los nuevos
+ * y, si no, se usa "imdb-tt…". Sin key ni IMDb id no hay forma fiable de seguirlo.
+ * @returns {Map<string, { meta: Object, item: Object, timeline: Object[] }>}
+ */
+export function buildTimelines(snapshots) {
+  const keyByImdb = new Map();
+  for (const snap of snapshots) {
+    for (const list of LISTS) {
+      for (const item of snap?.[list] || []) {
+        const key = keyOf(item);
+        const imdb = imdbOf(item);
+        if (key && imdb) keyByImdb.set(imdb, key);
+      }
+    }
+  }
+
+  const titles = new Map();
+  for (const snap of snapshots) {
+    const date = snap?.updatedAt;
+    if (!date) continue;
+
+    const seen = new Set();
+    for (const list of LISTS) {
+      for (const item of snap[list] || []) {
+        const imdb = imdbOf(item);
+        const key = keyOf(item) || (imdb && (keyByImdb.get(imdb) || `imdb-${imdb}`));
+        if (!key || seen.has(key)) continue;
+        seen.add(key);
+
+        if (!titles.has(key)) titles.set(key, { meta: {}, item: null, timeline: [] });
+        const t = titles.get(key);
+        t.timeline.push(point(date, list, item));
+
+        // Ítem completo del último snapshot (sin el desglose: la página lo recalcula con el perfil elegido)
+        const { ranking, ...rest } = item;
+        t.item = rest;
+
+        // Datos del título: los del snapshot más reciente en el que sale
+        t.meta = {
+          key,
+          type: item.type || t.meta.type || null,
+          tmdbId: item.tmdbId ?? t.meta.tmdbId ?? null,
+          imdbId: imdb || t.meta.imdbId || null,
+          title: item.title || t.meta.title || null,
+          titleOriginal: item.titleOriginal || t.meta.titleOriginal || null,
+          year: Number((item.seriesFirstAirDate || item.releaseES || "").slice(0, 4)) || t.meta.year || null,
+          posterPath: item.posterPath || t.meta.posterPath || null,
+        };
+      }
+    }
+  }
+
+  return titles;
+}
+
+/**
+ * Regenera data/titles/ entero a partir de todos los snapshots del histórico (en orden de fecha).
+ * @returns {Promise<number>} nº de títulos
+ */
+export async function writeTitleTimelines(snapshots, { outDir = "data/titles" } = {}) {
+  const titles = buildTimelines(snapshots);
+
+  await fs.mkdir(outDir, { recursive: true });
+  const keep = new Set(["index.json"]);
+  const index = [];
+
+  for (const { meta, item, timeline } of titles.values()) {
+    const file = `${meta.key}.json`;
+    keep.add(file);
+    await fs.writeFile(path.join(outDir, file), JSON.stringify({ ...meta, item, timeline }, null, 2), "utf8");
+    index.push({
+      ...meta,
+      first: timeline[0].date,
+      last: timeline[timeline.length - 1].date,
+      appearances: timeline.length,
+    });
+  }
+
+  // Claves que ya no salen (p. ej. "imdb-tt…" que ahora se resuelve a "movie-…")
+  for (const f of await fs.readdir(outDir)) {
+    if (f.endsWith(".json") && !keep.has(f)) await fs.unlink(path.join(outDir, f));
+  }
+
+  index.sort((a, b) => b.last.localeCompare(a.last) || String(a.title).localeCompare(String(b.title), "es"));
+  await fs.writeFile(path.join(outDir, "index.json"), JSON.stringify(index, null, 2), "utf8");
+
+  return index.length;
+}